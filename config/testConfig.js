@@ -36,6 +36,84 @@ var Config = async function (accounts) {
   };
 };
 
+// Requests the status of a flight until `count` of the oracles hold the drawn index
+var requestResponders = async function (
+  flightSuretyApp,
+  oracles,
+  airline,
+  flight,
+  timestamp,
+  count
+) {
+  let indexes = {};
+  for (let oracle of oracles) {
+    indexes[oracle] = (
+      await flightSuretyApp.getMyIndexes.call({ from: oracle })
+    ).map(Number);
+  }
+
+  // Ten oracles hold thirty indexes out of ten, so some index is held by at
+  // least three of them: request again until such an index is drawn
+  let index;
+  let responders = [];
+  for (let attempt = 0; attempt < 50 && responders.length < count; attempt++) {
+    let tx = await flightSuretyApp.fetchFlightStatus(airline, flight, timestamp);
+    index = Number(tx.logs[0].args.index);
+    responders = oracles.filter((oracle) => indexes[oracle].includes(index));
+
+    // The index is drawn from blockhash(block.number - nonce) and both grow by
+    // one per request, so mine an extra block to get a different index
+    await web3.eth.sendTransaction({
+      from: oracles[0],
+      to: oracles[0],
+      value: 0,
+    });
+  }
+
+  assert.isAtLeast(
+    responders.length,
+    count,
+    "index not held by enough oracles"
+  );
+
+  return { index: index, responders: responders };
+};
+
+// Has three oracles holding the requested index submit the same status
+var submitConsensus = async function (
+  flightSuretyApp,
+  oracles,
+  airline,
+  flight,
+  timestamp,
+  statusCode
+) {
+  let { index, responders } = await requestResponders(
+    flightSuretyApp,
+    oracles,
+    airline,
+    flight,
+    timestamp,
+    3
+  );
+
+  let receipt;
+  for (let oracle of responders.slice(0, 3)) {
+    receipt = await flightSuretyApp.submitOracleResponse(
+      index,
+      airline,
+      flight,
+      timestamp,
+      statusCode,
+      { from: oracle }
+    );
+  }
+
+  return { index: index, responders: responders, receipt: receipt };
+};
+
 module.exports = {
   Config: Config,
+  requestResponders: requestResponders,
+  submitConsensus: submitConsensus,
 };
@@ -26,23 +26,65 @@ contract FlightSuretyApp {
 
     FlightSuretyData flightSuretyData;
 
-    uint256 private constant AIRLINE_CONSENSUS = 4;
-    uint256 private constant AIRLINE_CONSENSUS_VOTES = 50; // percentage %
-    uint256 private constant AIRLINE_MINIMUM_FEE = 10 ether;
-    uint256 private constant FLIGHT_MAX_INSURANCE = 1 ether;
-    uint256 private constant CLIENT_INSURANCE_ADDITION = 5;
+    // Names of the parameters changed by a vote of the funded airlines, see getParameter()
+    bytes32 private constant AIRLINE_CONSENSUS = "AIRLINE_CONSENSUS";
+    bytes32 private constant AIRLINE_CONSENSUS_VOTES = "AIRLINE_CONSENSUS_VOTES";
+    bytes32 private constant AIRLINE_MINIMUM_FEE = "AIRLINE_MINIMUM_FEE";
+    bytes32 private constant FLIGHT_MAX_INSURANCE = "FLIGHT_MAX_INSURANCE";
+    bytes32 private constant CLIENT_INSURANCE_ADDITION = "CLIENT_INSURANCE_ADDITION";
+
+    // Delay between the consensus on a parameter value and its change
+    uint256 public constant PARAMETER_TIMELOCK = 1 days;
 
     address private contractOwner;
     mapping(address => address[]) private airlineVotes;
+    mapping(bool => address[]) private operatingStatusVotes; // funded airlines approving each mode
+
+    struct ParameterChange {
+        uint256 value;
+        uint256 executableAt;
+    }
+
+    mapping(bytes32 => address[]) private parameterVotes; // key = hash(name, value)
+    mapping(bytes32 => ParameterChange) private parameterChanges; // timelocked, by name
+
+    // Set by finishImport(), after which the state of a previous app can no longer be imported
+    bool private importDone = false;
 
     event AirlineRegistered(address airlineAddress);
+    event AirlineVoted(address airlineAddress, address voterAddress);
     event AirlineFunded(address airlineAddress, uint256 airlineValue);
+    event OperatingStatusApproved(
+        bool mode,
+        address approverAddress,
+        uint256 approvals,
+        uint256 required
+    );
+    event OperatingStatusChanged(bool mode);
+    event ParameterVoted(
+        bytes32 parameter,
+        uint256 value,
+        address voterAddress,
+        uint256 votes,
+        uint256 required
+    );
+    event ParameterChangeQueued(
+        bytes32 parameter,
+        uint256 value,
+        uint256 executableAt
+    );
+    event ParameterChanged(bytes32 parameter, uint256 previous, uint256 value);
     event FlightRegistered(bytes32 _flightNumber);
     event InsuranceBuyed(
         address _clientAddress,
         bytes32 _flightNumber,
         uint256 _clientAmount
     );
+    event InsuranceWithdrawn(
+        address _clientAddress,
+        bytes32 _flightNumber,
+        uint256 _clientAmount
+    );
 
     /********************************************************************************************/
     /*                                       CONSTRUCTOR                                        */
@@ -71,12 +113,18 @@ contract FlightSuretyApp {
      */
     modifier requireIsOperational() {
         // Modify to call data contract's status
+        checkOperational();
+
+        _; // All modifiers require an "_" which indicates where the function body will be added
+    }
+
+    // Modifiers are inlined in every function using them, a single copy of the check
+    // keeps FlightSuretyApp under the contract size limit
+    function checkOperational() private view {
         require(
             flightSuretyData.isOperational(),
             "App Contract is currently not operational"
         );
-
-        _; // All modifiers require an "_" which indicates where the function body will be added
     }
 
     /**
@@ -91,6 +139,12 @@ contract FlightSuretyApp {
         _;
     }
 
+    modifier requireImportOpen() {
+        require(!importDone, "App Contract import is finished");
+
+        _;
+    }
+
     modifier requireValidAddress(address _address) {
         require(_address != address(0x0), "Address is not valid");
 
@@ -110,6 +164,16 @@ contract FlightSuretyApp {
         _;
     }
 
+    // Funded airlines share the pausing and resuming of the contracts, see setOperatingStatus()
+    modifier requireFundedAirlineCaller() {
+        require(
+            flightSuretyData.isAirlineFunded(msg.sender),
+            "App Contract Caller is not a funded airline"
+        );
+
+        _;
+    }
+
     modifier requireUnregisteredAirline(address _airlineAddress) {
         bool _isRegistered;
 
@@ -167,6 +231,29 @@ contract FlightSuretyApp {
         _;
     }
 
+    modifier requireValidParameter(bytes32 _name, uint256 _value) {
+        getParameterDefault(_name); // reverts for unknown parameters
+        require(
+            _value > 0 || _name == CLIENT_INSURANCE_ADDITION,
+            "Parameter value must be greater than zero"
+        );
+        require(
+            _value <= 100 || _name != AIRLINE_CONSENSUS_VOTES,
+            "AIRLINE_CONSENSUS_VOTES is a percentage"
+        );
+        // processFlightStatus() lowers the addition one tenth at a time
+        require(
+            _value <= 10 || _name != CLIENT_INSURANCE_ADDITION,
+            "CLIENT_INSURANCE_ADDITION cannot exceed the insured value"
+        );
+        require(
+            _value <= getOraclesPerIndex() || _name != MIN_RESPONSES,
+            "MIN_RESPONSES exceeds the oracles holding an index"
+        );
+
+        _;
+    }
+
     /********************************************************************************************/
     /*                                       UTILITY FUNCTIONS                                  */
     /********************************************************************************************/
@@ -175,13 +262,111 @@ contract FlightSuretyApp {
         return flightSuretyData.isOperational(); // Modify to call data contract's status
     }
 
-    function setOperatingStatus(bool _mode) external requireContractOwner {
+    function isContractOwner(address _address) public view returns (bool) {
+        return _address == contractOwner;
+    }
+
+    /**
+     * @dev Approves pausing (false) or resuming (true) the contracts, which happens once
+     *      getGovernanceConsensus() funded airlines approved the same mode
+     *
+     */
+    function setOperatingStatus(bool _mode) external requireFundedAirlineCaller {
         require(
             flightSuretyData.isOperational() != _mode,
             "New mode must be different from existing mode"
         );
 
-        flightSuretyData.setOperatingStatus(_mode);
+        // Approvals of the current mode were left by a change made on the data contract
+        delete operatingStatusVotes[!_mode];
+
+        for (
+            uint256 index = 0;
+            index < operatingStatusVotes[_mode].length;
+            index++
+        ) {
+            require(
+                operatingStatusVotes[_mode][index] != msg.sender,
+                "App Contract Caller has already approved this mode"
+            );
+        }
+
+        operatingStatusVotes[_mode].push(msg.sender);
+
+        uint256 _approvals = operatingStatusVotes[_mode].length;
+        uint256 _required = getGovernanceConsensus();
+
+        emit OperatingStatusApproved(_mode, msg.sender, _approvals, _required);
+
+        if (_approvals >= _required) {
+            delete operatingStatusVotes[_mode];
+            flightSuretyData.setOperatingStatus(_mode);
+
+            emit OperatingStatusChanged(_mode);
+        }
+    }
+
+    // Not requireIsOperational, approvals to resume are read while the contracts are paused
+    function getOperatingStatusVotes(bool _mode)
+        public
+        view
+        returns (address[])
+    {
+        return operatingStatusVotes[_mode];
+    }
+
+    /**
+     * @dev Approvals needed to change the operational status or a parameter,
+     *      AIRLINE_CONSENSUS_VOTES percent of the funded airlines rounded up
+     */
+    function getGovernanceConsensus() public view returns (uint256) {
+        uint256 _required = flightSuretyData
+            .getAirlinesFunded()
+            .mul(getParameter(AIRLINE_CONSENSUS_VOTES))
+            .add(99)
+            .div(100);
+
+        return _required > 0 ? _required : 1;
+    }
+
+    function getParameterDefault(bytes32 _name) private pure returns (uint256) {
+        if (_name == AIRLINE_CONSENSUS) return 4;
+        if (_name == AIRLINE_CONSENSUS_VOTES) return 50; // percentage %
+        if (_name == AIRLINE_MINIMUM_FEE) return 10 ether;
+        if (_name == FLIGHT_MAX_INSURANCE) return 1 ether;
+        if (_name == CLIENT_INSURANCE_ADDITION) return 5; // tenths of the insured value
+        if (_name == MIN_RESPONSES) return 3;
+
+        revert("Parameter does not exist");
+    }
+
+    /**
+     * @dev Current value of a parameter, e.g. getParameter("FLIGHT_MAX_INSURANCE").
+     *      Values are kept by the data contract, which returns the default until
+     *      a change is executed.
+     */
+    function getParameter(bytes32 _name) public view returns (uint256) {
+        return flightSuretyData.getParameter(_name, getParameterDefault(_name));
+    }
+
+    function getParameterVotes(bytes32 _name, uint256 _value)
+        public
+        view
+        returns (address[])
+    {
+        return parameterVotes[keccak256(abi.encodePacked(_name, _value))];
+    }
+
+    // Value and time of the change of a parameter waiting for its timelock, (0, 0) when there is none
+    function getParameterChange(bytes32 _name)
+        external
+        view
+        returns (uint256, uint256)
+    {
+        return (
+            parameterChanges[_name].value,
+            parameterChanges[_name].executableAt
+        );
     }
 
     function getAirlineVotes(address _airlineAddress)
@@ -193,6 +378,90 @@ contract FlightSuretyApp {
         return airlineVotes[_airlineAddress];
     }
 
+    function getAirlinesRegistered()
+        public
+        view
+        requireIsOperational
+        returns (uint256)
+    {
+        return flightSuretyData.getAirlinesRegistered();
+    }
+
+    function getAirline(address _airlineAddress)
+        public
+        view
+        requireIsOperational
+        returns (
+            string,
+            bool,
+            bool,
+            uint256
+        )
+    {
+        return flightSuretyData.getAirline(_airlineAddress);
+    }
+
+    function getFlight(bytes32 _flightNumber)
+        public
+        view
+        requireIsOperational
+        returns (
+            bool,
+            uint8,
+            uint256,
+            address,
+            bytes32
+        )
+    {
+        return flightSuretyData.getFlight(_flightNumber);
+    }
+
+    function getInsurance(bytes32 _flightNumber, address _clientAddress)
+        public
+        view
+        requireIsOperational
+        returns (
+            address,
+            uint256,
+            bool,
+            uint256
+        )
+    {
+        bytes32 _flightKey;
+
+        (, , , , _flightKey) = flightSuretyData.getFlight(_flightNumber);
+
+        return
+            flightSuretyData.getInsurance(
+                getKeyEncoded(_clientAddress, _flightKey, 0)
+            );
+    }
+
+    // Passengers insured on a flight, each insurance is read with getInsurance()
+    function getFlightInsurances(bytes32 _flightNumber)
+        public
+        view
+        requireIsOperational
+        returns (address[])
+    {
+        bytes32 _flightKey;
+
+        (, , , , _flightKey) = flightSuretyData.getFlight(_flightNumber);
+
+        bytes32[] memory _insurancesKeys = flightSuretyData.getFlightInsurances(
+            _flightKey
+        );
+        address[] memory _clients = new address[](_insurancesKeys.length);
+
+        for (uint256 index = 0; index < _insurancesKeys.length; index++) {
+            (_clients[index], , , ) = flightSuretyData.getInsurance(
+                _insurancesKeys[index]
+            );
+        }
+
+        return _clients;
+    }
+
     /********************************************************************************************/
     /*                                     SMART CONTRACT FUNCTIONS                             */
     /********************************************************************************************/
@@ -223,9 +492,166 @@ contract FlightSuretyApp {
         // insert vote from current caller for the incoming airline and airline's votes itself
         if (!isDuplicateVote) {
             airlineVotes[_airlineAddress].push(msg.sender);
+
+            emit AirlineVoted(_airlineAddress, msg.sender);
+        }
+    }
+
+    /**
+     * @dev Votes for a new value of a parameter. Once getGovernanceConsensus() funded
+     *      airlines voted for the same value, the change can be executed after
+     *      PARAMETER_TIMELOCK. A later consensus replaces the queued change: a
+     *      consensus on the current value queues a change that leaves the value as
+     *      it is, but it still waits for the timelock and has to be executed.
+     *
+     */
+    function voteForParameter(bytes32 _name, uint256 _value)
+        external
+        requireIsOperational
+        requireFundedAirlineCaller
+        requireValidParameter(_name, _value)
+    {
+        bytes32 _key = keccak256(abi.encodePacked(_name, _value));
+
+        for (uint256 index = 0; index < parameterVotes[_key].length; index++) {
+            require(
+                parameterVotes[_key][index] != msg.sender,
+                "App Contract Caller has already voted for this parameter value"
+            );
+        }
+
+        parameterVotes[_key].push(msg.sender);
+
+        uint256 _votes = parameterVotes[_key].length;
+        uint256 _required = getGovernanceConsensus();
+
+        emit ParameterVoted(_name, _value, msg.sender, _votes, _required);
+
+        if (_votes >= _required) {
+            delete parameterVotes[_key];
+            parameterChanges[_name] = ParameterChange({
+                value: _value,
+                executableAt: now.add(PARAMETER_TIMELOCK)
+            });
+
+            emit ParameterChangeQueued(
+                _name,
+                _value,
+                parameterChanges[_name].executableAt
+            );
+        }
+    }
+
+    // Anyone can execute a change once its timelock has passed
+    function executeParameterChange(bytes32 _name)
+        external
+        requireIsOperational
+    {
+        ParameterChange memory _change = parameterChanges[_name];
+
+        require(
+            _change.executableAt > 0,
+            "No change of this parameter is queued"
+        );
+        require(
+            now >= _change.executableAt,
+            "Parameter change is still timelocked"
+        );
+
+        uint256 _previous = getParameter(_name);
+
+        delete parameterChanges[_name];
+        flightSuretyData.setParameter(_name, _change.value);
+
+        emit ParameterChanged(_name, _previous, _change.value);
+    }
+
+    /**
+     * @dev Copies the votes collected by a previous app contract, see scripts/upgrade-app.js
+     *
+     */
+    function importAirlineVotes(address _airlineAddress, address[] _voters)
+        external
+        requireIsOperational
+        requireContractOwner
+        requireImportOpen
+    {
+        require(
+            airlineVotes[_airlineAddress].length == 0,
+            "Airline votes are already imported"
+        );
+
+        for (uint256 index = 0; index < _voters.length; index++) {
+            airlineVotes[_airlineAddress].push(_voters[index]);
+
+            emit AirlineVoted(_airlineAddress, _voters[index]);
         }
     }
 
+    /**
+     * @dev Copies the votes for a parameter value collected by a previous app contract
+     *
+     */
+    function importParameterVotes(
+        bytes32 _name,
+        uint256 _value,
+        address[] _voters
+    ) external requireIsOperational requireContractOwner requireImportOpen {
+        bytes32 _key = keccak256(abi.encodePacked(_name, _value));
+
+        require(
+            parameterVotes[_key].length == 0,
+            "Parameter votes are already imported"
+        );
+
+        uint256 _required = getGovernanceConsensus();
+
+        for (uint256 index = 0; index < _voters.length; index++) {
+            parameterVotes[_key].push(_voters[index]);
+
+            emit ParameterVoted(
+                _name,
+                _value,
+                _voters[index],
+                index.add(1),
+                _required
+            );
+        }
+    }
+
+    // Keeps the change of a parameter queued by a previous app contract with its timelock
+    function importParameterChange(
+        bytes32 _name,
+        uint256 _value,
+        uint256 _executableAt
+    ) external requireIsOperational requireContractOwner requireImportOpen {
+        parameterChanges[_name] = ParameterChange({
+            value: _value,
+            executableAt: _executableAt
+        });
+
+        emit ParameterChangeQueued(_name, _value, _executableAt);
+    }
+
+    // Copies the approvals of pausing (false) or resuming (true) collected by a previous app contract
+    function importOperatingStatusVotes(bool _mode, address[] _voters)
+        external
+        requireContractOwner
+        requireImportOpen
+    {
+        operatingStatusVotes[_mode] = _voters;
+    }
+
+    /**
+     * @dev Closes the imports for good, once the state of the previous app contract is
+     *      copied or right after a first deployment. The owner cannot add votes or
+     *      fee-free oracles afterwards.
+     *
+     */
+    function finishImport() external requireContractOwner {
+        importDone = true;
+    }
+
     /**
      * @dev Add an airline to the registration queue
      *
@@ -239,7 +665,7 @@ contract FlightSuretyApp {
     {
         uint256 _airlinesRegistered = flightSuretyData.getAirlinesRegistered();
 
-        if (AIRLINE_CONSENSUS > _airlinesRegistered) {
+        if (getParameter(AIRLINE_CONSENSUS) > _airlinesRegistered) {
             flightSuretyData.registerAirline(_airlineAddress, _airlineName);
 
             emit AirlineRegistered(_airlineAddress);
@@ -249,7 +675,7 @@ contract FlightSuretyApp {
 
             // check if airline's votes are greater than or equal to 50% of registered airlines
             uint256 _registered = _airlinesRegistered
-                .mul(AIRLINE_CONSENSUS_VOTES)
+                .mul(getParameter(AIRLINE_CONSENSUS_VOTES))
                 .div(100);
 
             if (airlineVotes[_airlineAddress].length >= _registered) {
@@ -266,7 +692,7 @@ contract FlightSuretyApp {
         requireIsOperational
         requireValidAddress(msg.sender)
         requireValidAirlineCaller
-        requireMinimumFee(AIRLINE_MINIMUM_FEE)
+        requireMinimumFee(getParameter(AIRLINE_MINIMUM_FEE))
     {
         // address payable flightSuretyDataAddress = address(
         //     uint160(address(flightSuretyData))
@@ -315,7 +741,7 @@ contract FlightSuretyApp {
         requireValidAddress(msg.sender)
         requireRegisteredFlight(_flightNumber)
         requireNotInsured(_flightNumber)
-        requireNotMaximumFee(FLIGHT_MAX_INSURANCE)
+        requireNotMaximumFee(getParameter(FLIGHT_MAX_INSURANCE))
     {
         // address payable flightSuretyDataAddress = address(
         //     uint160(address(flightSuretyData))
@@ -332,6 +758,26 @@ contract FlightSuretyApp {
         emit InsuranceBuyed(msg.sender, _flightNumber, msg.value);
     }
 
+    /**
+     * @dev Transfers the balance credited to the caller's insurance of a flight
+     *
+     */
+    function withdraw(bytes32 _flightNumber)
+        external
+        requireIsOperational
+        requireValidAddress(msg.sender)
+        requireRegisteredFlight(_flightNumber)
+    {
+        bytes32 _flightKey;
+
+        (, , , , _flightKey) = flightSuretyData.getFlight(_flightNumber);
+
+        uint256 _amount = flightSuretyData.pay(msg.sender, _flightKey);
+
+        emit InsuranceWithdrawn(msg.sender, _flightNumber, _amount);
+    }
+
+    // Insured value of the insurances of a flight not credited yet
     function getTotalBalance(bytes32 _flightKey)
         private
         view
@@ -350,7 +796,7 @@ contract FlightSuretyApp {
                 _insurancesKeys[index]
             );
 
-            if (_isPayed == true) {
+            if (_isPayed == false) {
                 _totalBalance = _totalBalance.add(_value);
             }
         }
@@ -358,6 +804,18 @@ contract FlightSuretyApp {
         return _totalBalance;
     }
 
+    function stringToBytes32(string memory _source)
+        private
+        pure
+        returns (bytes32 _result)
+    {
+        bytes memory _bytes = bytes(_source);
+
+        for (uint256 index = 0; index < _bytes.length && index < 32; index++) {
+            _result |= bytes32(_bytes[index]) >> (index * 8);
+        }
+    }
+
     /**
      * @dev Called after oracle has updated flight status
      *
@@ -374,16 +832,27 @@ contract FlightSuretyApp {
                 _airlineAddress
             );
 
+            // Same key as FlightSuretyData.registerFlight, which hashes the bytes32 flight number
             bytes32 _flightKey = keccak256(
-                abi.encodePacked(_airlineAddress, _flightNumber, _flightTime)
+                abi.encodePacked(
+                    _airlineAddress,
+                    stringToBytes32(_flightNumber),
+                    _flightTime
+                )
             );
             uint256 _totalBalance = getTotalBalance(_flightKey);
 
-            uint256 _addition = CLIENT_INSURANCE_ADDITION;
-            uint256 _creditBalance = _totalBalance.mul(_addition).div(10);
-            while (_airlineBalance <= _creditBalance && _addition > 0) {
+            // Lower the addition until the airline can pay the insured value and the
+            // addition, the data contract caps what is left at the airline balance
+            uint256 _addition = getParameter(CLIENT_INSURANCE_ADDITION);
+            uint256 _creditBalance = _totalBalance.add(
+                _totalBalance.mul(_addition).div(10)
+            );
+            while (_airlineBalance < _creditBalance && _addition > 0) {
                 _addition--;
-                _creditBalance = _totalBalance.mul(_addition).div(10);
+                _creditBalance = _totalBalance.add(
+                    _totalBalance.mul(_addition).div(10)
+                );
             }
 
             flightSuretyData.creditInsurees(_flightKey, _addition);
@@ -424,8 +893,8 @@ contract FlightSuretyApp {
     // Fee to be paid when registering oracle
     uint256 public constant REGISTRATION_FEE = 1 ether;
 
-    // Number of oracles that must respond for valid status
-    uint256 private constant MIN_RESPONSES = 3;
+    // Number of oracles that must respond for valid status, see getParameter()
+    bytes32 private constant MIN_RESPONSES = "MIN_RESPONSES";
 
     struct Oracle {
         bool isRegistered;
@@ -435,6 +904,9 @@ contract FlightSuretyApp {
     // Track all registered oracles
     mapping(address => Oracle) private oracles;
 
+    // Number of registered oracles holding each index
+    mapping(uint8 => uint256) private indexOracles;
+
     // Model for responses from oracles
     struct ResponseInfo {
         address requester; // Account that requested status
@@ -442,6 +914,7 @@ contract FlightSuretyApp {
         mapping(uint8 => address[]) responses; // Mapping key is the status code reported
         // This lets us group responses and identify
         // the response that majority of the oracles
+        mapping(address => bool) responded; // Oracles that already submitted a response
     }
 
     // Track all oracle responses
@@ -473,6 +946,8 @@ contract FlightSuretyApp {
         uint256 timestamp
     );
 
+    event OracleRegistered(address oracle, uint8[3] indexes);
+
     // Register an oracle with the contract
     function registerOracle() external payable {
         require(
@@ -485,6 +960,46 @@ contract FlightSuretyApp {
         uint8[3] memory indexes = generateIndexes(msg.sender);
 
         oracles[msg.sender] = Oracle({isRegistered: true, indexes: indexes});
+        countIndexes(indexes);
+
+        emit OracleRegistered(msg.sender, indexes);
+    }
+
+    // Keeps an oracle registered by a previous app contract, see scripts/upgrade-app.js
+    function importOracle(address _oracleAddress, uint8[3] _indexes)
+        external
+        requireContractOwner
+        requireImportOpen
+    {
+        require(
+            oracles[_oracleAddress].isRegistered == false,
+            "Oracle already registered"
+        );
+
+        oracles[_oracleAddress] = Oracle({isRegistered: true, indexes: _indexes});
+        countIndexes(_indexes);
+
+        emit OracleRegistered(_oracleAddress, _indexes);
+    }
+
+    function countIndexes(uint8[3] _indexes) private {
+        for (uint256 index = 0; index < _indexes.length; index++) {
+            indexOracles[_indexes[index]] = indexOracles[_indexes[index]].add(1);
+        }
+    }
+
+    /**
+     * @dev Fewest registered oracles holding the same index, the most responses a
+     *      request can get whatever index it draws
+     */
+    function getOraclesPerIndex() public view returns (uint256) {
+        uint256 _oracles = indexOracles[0];
+
+        for (uint8 index = 1; index < 10; index++) {
+            if (indexOracles[index] < _oracles) _oracles = indexOracles[index];
+        }
+
+        return _oracles;
     }
 
     function getMyIndexes() external view returns (uint8[3]) {
@@ -496,6 +1011,29 @@ contract FlightSuretyApp {
         return oracles[msg.sender].indexes;
     }
 
+    function getOracle(address _oracleAddress)
+        external
+        view
+        returns (bool, uint8[3])
+    {
+        return (
+            oracles[_oracleAddress].isRegistered,
+            oracles[_oracleAddress].indexes
+        );
+    }
+
+    /**
+     * @dev Requester and state of the oracle request stored under a key
+     *      keccak256(abi.encodePacked(index, airline, flight, timestamp))
+     */
+    function getOracleRequest(bytes32 _key)
+        external
+        view
+        returns (address, bool)
+    {
+        return (oracleResponses[_key].requester, oracleResponses[_key].isOpen);
+    }
+
     // /**
     //  * @dev Only checks if this oracle has already replied 20 (delayed) as 20 is scope of exercise
     //  */
@@ -539,10 +1077,6 @@ contract FlightSuretyApp {
                 (oracles[msg.sender].indexes[2] == index),
             "Index does not match oracle request"
         );
-        // require(
-        //     hasOracleAlreadyResponded(key) == false,
-        //     "This oracle has already submitted response"
-        // );
 
         bytes32 key = keccak256(
             abi.encodePacked(index, airline, flight, timestamp)
@@ -551,15 +1085,24 @@ contract FlightSuretyApp {
             oracleResponses[key].isOpen,
             "Flight or timestamp do not match oracle request"
         );
+        // Otherwise a single oracle could reach consensus on its own
+        require(
+            !oracleResponses[key].responded[msg.sender],
+            "This oracle has already submitted a response"
+        );
 
+        oracleResponses[key].responded[msg.sender] = true;
         oracleResponses[key].responses[statusCode].push(msg.sender);
 
         // Information isn't considered verified until at least MIN_RESPONSES
         // oracles respond with the *** same *** information
         emit OracleReport(airline, flight, timestamp, statusCode);
         if (
-            oracleResponses[key].responses[statusCode].length >= MIN_RESPONSES
+            oracleResponses[key].responses[statusCode].length >=
+            getParameter(MIN_RESPONSES)
         ) {
+            // Later responses revert instead of crediting insurees again
+            oracleResponses[key].isOpen = false;
             emit FlightStatusInfo(airline, flight, timestamp, statusCode);
 
             // Handle flight status as appropriate
@@ -615,6 +1158,20 @@ contract FlightSuretyData {
 
     function getAirlinesRegistered() external view returns (uint256);
 
+    function getAirlinesFunded() external view returns (uint256);
+
+    function getParameter(bytes32 _name, uint256 _default)
+        external
+        view
+        returns (uint256);
+
+    function setParameter(bytes32 _name, uint256 _value) external;
+
+    function isAirlineFunded(address _airlineAddress)
+        external
+        view
+        returns (bool);
+
     function getAirline(address _airlineAddress)
         external
         view
@@ -675,4 +1232,8 @@ contract FlightSuretyData {
         external;
 
     function setFlightStatus(bytes32 _flightKey, uint8 _statusCode) external;
+
+    function pay(address _clientAddress, bytes32 _flightKey)
+        external
+        returns (uint256);
 }
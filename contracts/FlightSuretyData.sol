@@ -40,8 +40,11 @@ contract FlightSuretyData {
     mapping(bytes32 => Flight) private flights;
     mapping(bytes32 => Insurance) private insurances;
     uint256 private airlinesRegistered = 0;
+    uint256 private airlinesFunded = 0;
     bytes32[] private flightsRegistered;
     mapping(bytes32 => bytes32[]) private flightInsurances;
+    mapping(bytes32 => uint256) private parameters;
+    mapping(bytes32 => bool) private parametersSet;
 
     /********************************************************************************************/
     /*                                       EVENT DEFINITIONS                                  */
@@ -99,6 +102,26 @@ contract FlightSuretyData {
         _;
     }
 
+    /**
+     * @dev Modifier that requires the caller to be an authorized contract rather than an
+     *      account authorized to read, so that only FlightSuretyApp and its votes can reach
+     *      the functions deciding for all airlines
+     */
+    modifier requireIsAuthorizedContract() {
+        address _caller = msg.sender;
+        uint256 _codeSize;
+
+        assembly {
+            _codeSize := extcodesize(_caller)
+        }
+        require(
+            authorizedContracts[msg.sender] == true && _codeSize > 0,
+            "Data Contract Caller is not an authorized contract"
+        );
+
+        _;
+    }
+
     modifier requireIsAdministrator() {
         require(
             msg.sender == contractOwner ||
@@ -130,15 +153,20 @@ contract FlightSuretyData {
     /**
      * @dev Sets contract operations on/off
      *
-     * When operational mode is disabled, all write transactions except for this one will fail
+     * When operational mode is disabled, all write transactions except for this one will fail.
+     * Called by FlightSuretyApp once the funded airlines approved the mode.
      */
-    function setOperatingStatus(bool _mode) external requireIsAdministrator {
+    function setOperatingStatus(bool _mode)
+        external
+        requireIsAuthorizedContract
+    {
         operational = _mode;
     }
 
     function authorizeContract(address _contractAddress)
         external
         requireIsOperational
+        requireContractOwner
     {
         authorizedContracts[_contractAddress] = true;
     }
@@ -146,6 +174,7 @@ contract FlightSuretyData {
     function deauthorizeContract(address _contractAddress)
         external
         requireIsOperational
+        requireContractOwner
     {
         delete authorizedContracts[_contractAddress];
     }
@@ -160,6 +189,51 @@ contract FlightSuretyData {
         return airlinesRegistered;
     }
 
+    /**
+     * @dev Funded airlines approve pausing and resuming the app contract, so unlike
+     *      getAirline() this can be read while the contract is not operational
+     */
+    function getAirlinesFunded()
+        external
+        view
+        requireIsAuthorized
+        returns (uint256)
+    {
+        return airlinesFunded;
+    }
+
+    function isAirlineFunded(address _airlineAddress)
+        external
+        view
+        requireIsAuthorized
+        returns (bool)
+    {
+        return airlines[_airlineAddress].isFunded;
+    }
+
+    /**
+     * @dev Parameter changed by FlightSuretyApp, or the default of the app until it is
+     *      changed. Kept here so it survives app upgrades and readable while not operational.
+     */
+    function getParameter(bytes32 _name, uint256 _default)
+        external
+        view
+        requireIsAuthorized
+        returns (uint256)
+    {
+        return parametersSet[_name] ? parameters[_name] : _default;
+    }
+
+    // Only FlightSuretyApp, which changes a parameter once its vote passed the timelock
+    function setParameter(bytes32 _name, uint256 _value)
+        external
+        requireIsOperational
+        requireIsAuthorizedContract
+    {
+        parameters[_name] = _value;
+        parametersSet[_name] = true;
+    }
+
     function getAirline(address _airlineAddress)
         external
         view
@@ -223,7 +297,7 @@ contract FlightSuretyData {
         Flight storage _flight = flights[bytes32(0)];
         bytes32 _flightKey = bytes32(0);
 
-        for (uint8 index = 0; index < flightsRegistered.length; index++) {
+        for (uint256 index = 0; index < flightsRegistered.length; index++) {
             // bytes32 _key = getKeyEncoded(
             //     _flight.airline,
             //     bytes32ToString(_flightNumber),
@@ -296,10 +370,19 @@ contract FlightSuretyData {
         requireIsOperational
         requireIsAuthorized
     {
-        airlines[_airlineAddress].isFunded = true;
+        if (!airlines[_airlineAddress].isFunded) {
+            airlines[_airlineAddress].isFunded = true;
+            airlinesFunded = airlinesFunded.add(1);
+        }
+
+        addAirlineFunds(_airlineAddress, _airlineAmount);
+    }
+
+    // Premiums add to the balance only, an airline is funded by fundAirline()
+    function addAirlineFunds(address _airlineAddress, uint256 _amount) private {
         airlines[_airlineAddress].balance = airlines[_airlineAddress]
             .balance
-            .add(_airlineAmount);
+            .add(_amount);
     }
 
     function getKeyEncoded(
@@ -353,11 +436,7 @@ contract FlightSuretyData {
         flightInsurances[_flightKey].push(_insuranceKey);
 
         // fund airline
-        address _airlineAddress = flights[_flightKey].airline;
-        airlines[_airlineAddress].isFunded = true;
-        airlines[_airlineAddress].balance = airlines[_airlineAddress]
-            .balance
-            .add(_clientAmount);
+        addAirlineFunds(flights[_flightKey].airline, _clientAmount);
     }
 
     /**
@@ -372,27 +451,49 @@ contract FlightSuretyData {
         bytes32[] memory _insurancesKeys = flightInsurances[_flightKey];
 
         for (uint256 index = 0; index < _insurancesKeys.length; index++) {
-            Insurance memory _insurance = insurances[_insurancesKeys[index]];
+            Insurance storage _insurance = insurances[_insurancesKeys[index]];
 
             if (_insurance.isPayed == false) {
-                uint256 _value = _insurance.value.mul(_insuranceValue);
+                // _insuranceValue is the addition in tenths, i.e. 5 credits 1.5x the insured value
+                uint256 _value = _insurance.value.add(
+                    _insurance.value.mul(_insuranceValue).div(10)
+                );
+                uint256 _airlineBalance = airlines[_airlineAddress].balance;
+
+                // Never more than the airline has left, so crediting cannot revert
+                if (_value > _airlineBalance) {
+                    _value = _airlineBalance;
+                }
 
                 _insurance.isPayed = true;
                 _insurance.balance = _insurance.balance.add(_value);
 
-                airlines[_airlineAddress].balance = airlines[_airlineAddress]
-                    .balance
-                    .sub(_value)
-                    .sub(_insurance.value);
+                airlines[_airlineAddress].balance = _airlineBalance.sub(_value);
             }
         }
     }
 
     /**
      *  @dev Transfers eligible payout funds to insuree
+     *       The balance is cleared before the transfer so it can only be withdrawn once
      *
      */
-    function pay() external pure {}
+    function pay(address _clientAddress, bytes32 _flightKey)
+        external
+        requireIsOperational
+        requireIsAuthorized
+        returns (uint256)
+    {
+        bytes32 _insuranceKey = getKeyEncoded(_clientAddress, _flightKey, 0);
+        uint256 _amount = insurances[_insuranceKey].balance;
+
+        require(_amount > 0, "Insurance has no balance to withdraw");
+
+        insurances[_insuranceKey].balance = 0;
+        _clientAddress.transfer(_amount);
+
+        return _amount;
+    }
 
     /**
      * @dev Initial funding for the insurance. Unless there are too many delayed flights
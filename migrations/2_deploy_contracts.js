@@ -1,29 +1,43 @@
 const FlightSuretyApp = artifacts.require("FlightSuretyApp");
 const FlightSuretyData = artifacts.require("FlightSuretyData");
-const fs = require("fs");
+const path = require("path");
+const { createManifest, writeManifest } = require("./lib/deployment");
+const { seed } = require("./lib/seed");
 
-module.exports = async function (deployer) {
-  const airlineName = web3.utils.utf8ToHex("Condor");
-  //   let firstAirline = "0xf17f52151EbEF6C7334FAD080c5704D77216b732";
+module.exports = async function (deployer, network, accounts) {
+  // The data contract registers its deployer as the first airline
+  const airlineName = "Condor";
+  const firstAirline = accounts[0];
 
   await deployer.deploy(FlightSuretyData, airlineName);
   await deployer.deploy(FlightSuretyApp, FlightSuretyData.address);
 
-  let config = {
-    localhost: {
-      url: "http://localhost:8545",
-      dataAddress: FlightSuretyData.address,
-      appAddress: FlightSuretyApp.address,
-    },
-  };
-  fs.writeFileSync(
-    __dirname + "/../src/dapp/config.json",
-    JSON.stringify(config, null, "\t"),
-    "utf-8"
-  );
-  fs.writeFileSync(
-    __dirname + "/../src/server/config.json",
-    JSON.stringify(config, null, "\t"),
-    "utf-8"
+  // The app contract reads and writes everything through the data contract
+  let flightSuretyData = await FlightSuretyData.deployed();
+  await flightSuretyData.authorizeContract(FlightSuretyApp.address);
+
+  // A first app has no previous app to import votes and oracles from
+  let flightSuretyApp = await FlightSuretyApp.deployed();
+  await flightSuretyApp.finishImport();
+
+  // FIXTURE=migrations/fixtures/development.json truffle migrate --reset
+  let seeded;
+  if (process.env.FIXTURE) {
+    seeded = await seed(
+      web3,
+      flightSuretyApp,
+      path.resolve(process.env.FIXTURE),
+      firstAirline
+    );
+  }
+
+  writeManifest(
+    await createManifest(web3, network, {
+      FlightSuretyData: FlightSuretyData,
+      FlightSuretyApp: FlightSuretyApp,
+      firstAirline: firstAirline,
+      authorizedContracts: [FlightSuretyApp.address],
+      seeded: seeded,
+    })
   );
 };
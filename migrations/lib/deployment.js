@@ -0,0 +1,117 @@
+const fs = require("fs");
+const truffleConfig = require("../../truffle-config.js");
+const { MANIFEST_VERSION } = require("../../src/sdk");
+
+const CONFIG_FILES = [
+  __dirname + "/../../src/dapp/config.json",
+  __dirname + "/../../src/server/config.json",
+];
+
+// The web3 bundled with truffle has no eth.getChainId()
+function getChainId(web3) {
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send(
+      { jsonrpc: "2.0", id: Date.now(), method: "eth_chainId", params: [] },
+      (error, result) =>
+        error ? reject(error) : resolve(web3.utils.hexToNumber(result.result))
+    );
+  });
+}
+
+// Nodes of a network in truffle-config.js, an explicit url/wsUrl or host and port
+function getUrls(network) {
+  let options = truffleConfig.networks[network] || {};
+  let url =
+    options.url ||
+    `http://${options.host || "localhost"}:${options.port || 8545}`;
+
+  return { url: url, wsUrl: options.wsUrl || url.replace(/^http/, "ws") };
+}
+
+// Same hash as the dapp, server and CLI compute from build/contracts
+function getAbiHash(web3, abi) {
+  return web3.utils.sha3(JSON.stringify(abi));
+}
+
+async function describeContract(web3, artifact) {
+  let transaction = await web3.eth.getTransaction(artifact.transactionHash);
+
+  return {
+    address: artifact.address,
+    transactionHash: artifact.transactionHash,
+    blockNumber: transaction.blockNumber,
+    abiHash: getAbiHash(web3, artifact.abi),
+  };
+}
+
+/**
+ * Builds the manifest of a deployment. The top level fields are the ones the
+ * dapp, server and CLI need to connect, the rest records how the contracts
+ * were deployed and seeded.
+ */
+async function createManifest(web3, network, options) {
+  let urls = getUrls(network);
+  let data = await describeContract(web3, options.FlightSuretyData);
+  let app = await describeContract(web3, options.FlightSuretyApp);
+
+  return {
+    version: MANIFEST_VERSION,
+    network: network,
+    chainId: await getChainId(web3),
+    url: urls.url,
+    wsUrl: urls.wsUrl,
+    dataAddress: data.address,
+    appAddress: app.address,
+    // Event queries start at the block of the first deployment
+    deploymentBlock: data.blockNumber,
+    firstAirline: options.firstAirline,
+    deployedAt: new Date().toISOString(),
+    contracts: {
+      FlightSuretyData: data,
+      FlightSuretyApp: app,
+    },
+    authorizedContracts: options.authorizedContracts || [],
+    seeded: options.seeded || { fixture: null, airlines: [], flights: [] },
+  };
+}
+
+// Keeps the deployments of the other networks already in the files
+function writeManifest(manifest) {
+  CONFIG_FILES.forEach((file) => {
+    let config = {};
+
+    if (fs.existsSync(file)) {
+      config = JSON.parse(fs.readFileSync(file, "utf-8"));
+    }
+    config[manifest.network] = manifest;
+
+    fs.writeFileSync(file, JSON.stringify(config, null, "\t"), "utf-8");
+  });
+}
+
+// Deployment of a network written by a previous migration
+function readManifest(network) {
+  let file = CONFIG_FILES[1];
+  let config = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, "utf-8"))
+    : {};
+
+  if (!config[network]) {
+    throw new Error(`Network ${network} is not in ${file}, run truffle migrate --network ${network}`);
+  }
+  if (config[network].version !== MANIFEST_VERSION) {
+    throw new Error(`The ${network} deployment has manifest version ${config[network].version}, run truffle migrate --reset --network ${network}`);
+  }
+
+  return config[network];
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  getChainId,
+  getAbiHash,
+  describeContract,
+  createManifest,
+  readManifest,
+  writeManifest,
+};
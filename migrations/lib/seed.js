@@ -0,0 +1,110 @@
+const fs = require("fs");
+const path = require("path");
+const { encodeFlightNumber } = require("../../src/sdk");
+
+// Accepts unix seconds or anything Date can parse, e.g. 2026-10-19T10:30:00Z
+function toTimestamp(time) {
+  if (/^\d+$/.test(String(time))) return Number(time);
+
+  let timestamp = Date.parse(time);
+  if (isNaN(timestamp)) throw new Error(`Invalid flight time: ${time}`);
+  return Math.floor(timestamp / 1000);
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+async function isRegisteredAirline(app, address) {
+  let airline = await app.getAirline.call(address);
+  return airline[1];
+}
+
+/**
+ * Registers an airline, collecting the votes of the airlines already
+ * registered once multi-party consensus is required
+ */
+async function registerAirline(app, airline, voters) {
+  let transactions = [];
+
+  for (let voter of voters) {
+    if (await isRegisteredAirline(app, airline.address)) break;
+
+    let result = await app.registerAirline(airline.address, airline.name, {
+      from: voter,
+    });
+    transactions.push(result.tx);
+  }
+
+  if (!(await isRegisteredAirline(app, airline.address))) {
+    throw new Error(
+      `Not enough registered airlines to vote for ${airline.address}`
+    );
+  }
+
+  return transactions;
+}
+
+/**
+ * Seeds airlines and flights from a fixture file such as
+ * migrations/fixtures/development.json. Airlines and flights must belong to
+ * unlocked accounts of the node since they send their own transactions.
+ * Returns what was seeded for the deployment manifest.
+ */
+async function seed(web3, app, file, firstAirline) {
+  let fixture = JSON.parse(fs.readFileSync(file, "utf-8"));
+  let voters = [firstAirline];
+  let seeded = {
+    fixture: path.relative(path.join(__dirname, "../.."), file),
+    airlines: [],
+    flights: [],
+  };
+
+  for (let airline of fixture.airlines || []) {
+    let transactions = [];
+
+    if (!(await isRegisteredAirline(app, airline.address))) {
+      transactions = await registerAirline(app, airline, voters);
+    }
+    if (!voters.some((voter) => sameAddress(voter, airline.address))) {
+      voters.push(airline.address);
+    }
+
+    if (airline.funding) {
+      let result = await app.fundAirline({
+        from: airline.address,
+        value: web3.utils.toWei(String(airline.funding), "ether"),
+      });
+      transactions.push(result.tx);
+    }
+
+    seeded.airlines.push({
+      address: airline.address,
+      name: airline.name,
+      funding: String(airline.funding || 0),
+      transactions: transactions,
+    });
+  }
+
+  for (let flight of fixture.flights || []) {
+    let flightNumber = encodeFlightNumber(flight.flight);
+    let timestamp = toTimestamp(flight.time);
+
+    let result = await app.registerFlight(flightNumber, timestamp, {
+      from: flight.airline,
+    });
+    let registered = await app.getFlight.call(flightNumber);
+
+    seeded.flights.push({
+      flight: flight.flight,
+      airline: flight.airline,
+      timestamp: timestamp,
+      key: registered[4],
+      transactionHash: result.tx,
+    });
+  }
+
+  return seeded;
+}
+
+module.exports = { seed };
@@ -0,0 +1,193 @@
+const { PARAMETER_NAMES, encodeParameterName } = require("../../src/sdk");
+
+function unique(addresses) {
+  return addresses.filter(
+    (address, index) =>
+      addresses.findIndex((other) => other.toLowerCase() === address.toLowerCase()) === index
+  );
+}
+
+// Events the old app must emit and getter it must have for its state to be found,
+// all added together with the upgrade
+const REQUIRED_EVENTS = [
+  "AirlineVoted(address,address)",
+  "OracleRegistered(address,uint8[3])",
+];
+const REQUIRED_FUNCTIONS = ["getOracle(address)"];
+
+// Events and functions found in the bytecode of a contract, which pushes the
+// topic of each event it emits and the selector of each function it has
+async function findSignatures(web3, app, events, functions) {
+  let code = (await web3.eth.getCode(app.address)).toLowerCase();
+  let hash = (signature) => web3.utils.sha3(signature).slice(2).toLowerCase();
+
+  return events
+    .filter((event) => code.includes(hash(event)))
+    .concat(
+      functions.filter((method) => code.includes(hash(method).slice(0, 8)))
+    );
+}
+
+/**
+ * Fails when the old app was deployed before it emitted AirlineVoted and
+ * OracleRegistered: nothing would be imported and it would be deauthorized
+ * anyway.
+ */
+async function checkUpgradable(web3, app) {
+  let found = await findSignatures(
+    web3,
+    app,
+    REQUIRED_EVENTS,
+    REQUIRED_FUNCTIONS
+  );
+  let missing = REQUIRED_EVENTS.concat(REQUIRED_FUNCTIONS).filter(
+    (signature) => !found.includes(signature)
+  );
+
+  if (missing.length > 0) {
+    throw new Error(
+      `${app.address} predates ${missing.join(", ")}, its votes and oracles cannot be found to upgrade it`
+    );
+  }
+}
+
+// Emitted by apps whose funded airlines vote on parameters and the operating status
+const GOVERNANCE_EVENT =
+  "ParameterVoted(bytes32,uint256,address,uint256,uint256)";
+
+/**
+ * Copies the votes of the funded airlines: the values of a parameter still
+ * collecting votes, found from the ParameterVoted events, the changes waiting
+ * for their timelock and the approvals of pausing or resuming
+ */
+async function importGovernance(oldApp, app, events, from, send) {
+  let voted = await oldApp.getPastEvents("ParameterVoted", events);
+  let proposals = voted
+    .map((event) => ({
+      name: event.args.parameter,
+      value: String(event.args.value),
+    }))
+    .filter(
+      (proposal, index, all) =>
+        all.findIndex(
+          (other) =>
+            other.name === proposal.name && other.value === proposal.value
+        ) === index
+    );
+  let result = {
+    parameterVotes: 0,
+    parameterChanges: 0,
+    operatingStatusVotes: 0,
+  };
+
+  for (let proposal of proposals) {
+    let voters = await oldApp.getParameterVotes.call(
+      proposal.name,
+      proposal.value
+    );
+    if (voters.length === 0) continue;
+
+    await send(
+      app.importParameterVotes(proposal.name, proposal.value, voters, {
+        from: from,
+      })
+    );
+    result.parameterVotes++;
+  }
+
+  for (let name of PARAMETER_NAMES) {
+    let parameter = encodeParameterName(name);
+    let change = await oldApp.getParameterChange.call(parameter);
+    if (Number(change[1]) === 0) continue;
+
+    await send(
+      app.importParameterChange(parameter, change[0], change[1], {
+        from: from,
+      })
+    );
+    result.parameterChanges++;
+  }
+
+  for (let mode of [false, true]) {
+    let voters = await oldApp.getOperatingStatusVotes.call(mode);
+    if (voters.length === 0) continue;
+
+    await send(app.importOperatingStatusVotes(mode, voters, { from: from }));
+    result.operatingStatusVotes++;
+  }
+
+  return result;
+}
+
+/**
+ * Replaces the app contract of a data contract. Airlines, flights and
+ * insurances live in FlightSuretyData and stay where they are, the state kept
+ * by the app itself (votes of airlines and registered oracles) is found from
+ * the AirlineVoted and OracleRegistered events of the old app and copied over,
+ * together with the votes on parameters and on the operating status.
+ * Imports are then closed with finishImport(). The old app is deauthorized
+ * last, its views are needed until then.
+ *
+ * Oracle registration fees stay in the balance of the old app.
+ */
+async function upgradeApp(FlightSuretyApp, options) {
+  let data = options.flightSuretyData;
+  let oldApp = options.flightSuretyApp;
+  let from = options.from;
+  let events = { fromBlock: options.fromBlock || 0, toBlock: "latest" };
+
+  let web3 = options.web3 || FlightSuretyApp.web3;
+
+  await checkUpgradable(web3, oldApp);
+
+  let app = await FlightSuretyApp.new(data.address, { from: from });
+  let transactions = [];
+  let send = async (promise) => transactions.push((await promise).tx);
+
+  await send(data.authorizeContract(app.address, { from: from }));
+
+  let voted = await oldApp.getPastEvents("AirlineVoted", events);
+  let airlines = unique(voted.map((event) => event.args.airlineAddress));
+
+  for (let airline of airlines) {
+    let voters = await oldApp.getAirlineVotes.call(airline);
+    await send(app.importAirlineVotes(airline, voters, { from: from }));
+  }
+
+  let registered = await oldApp.getPastEvents("OracleRegistered", events);
+  let oracles = [];
+
+  for (let oracle of unique(registered.map((event) => event.args.oracle))) {
+    let result = await oldApp.getOracle.call(oracle);
+    if (!result[0]) continue;
+
+    await send(app.importOracle(oracle, result[1], { from: from }));
+    oracles.push(oracle);
+  }
+
+  // Apps deployed before the governance votes have none to copy
+  let governance = {
+    parameterVotes: 0,
+    parameterChanges: 0,
+    operatingStatusVotes: 0,
+  };
+  if ((await findSignatures(web3, oldApp, [GOVERNANCE_EVENT], [])).length) {
+    governance = await importGovernance(oldApp, app, events, from, send);
+  }
+
+  await send(app.finishImport({ from: from }));
+  await send(data.deauthorizeContract(oldApp.address, { from: from }));
+
+  return {
+    flightSuretyApp: app,
+    previousApp: oldApp.address,
+    airlineVotes: airlines.length,
+    oracles: oracles.length,
+    parameterVotes: governance.parameterVotes,
+    parameterChanges: governance.parameterChanges,
+    operatingStatusVotes: governance.operatingStatusVotes,
+    transactions: transactions,
+  };
+}
+
+module.exports = { checkUpgradable, upgradeApp };
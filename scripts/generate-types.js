@@ -0,0 +1,181 @@
+// Writes the TypeScript declarations of the sdk contract wrappers from the
+// compiled ABIs, so getters are typed with the named results they resolve to:
+//
+//   truffle compile
+//   node scripts/generate-types.js
+//
+// `npm run compile` does both. test/sdk.js fails when src/sdk/contracts.d.ts
+// no longer matches the ABIs in build/contracts.
+const fs = require("fs");
+const path = require("path");
+const { RESULTS, OUTPUTS, NUMBERS, valueName } = require("../src/sdk/contracts");
+
+const CONTRACTS = ["FlightSuretyApp", "FlightSuretyData"];
+const OUTPUT_FILE = path.join(__dirname, "../src/sdk/contracts.d.ts");
+
+const INDENT = "    ";
+
+function readArtifact(name) {
+  let file = path.join(__dirname, `../build/contracts/${name}.json`);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Cannot read ${file}, run truffle compile first`);
+  }
+
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+function isCall(abi) {
+  return abi.constant || abi.stateMutability === "view" || abi.stateMutability === "pure";
+}
+
+// Types of what web3 accepts as arguments
+function inputType(type) {
+  let array = type.match(/^(.*)\[\d*\]$/);
+
+  if (array) return `Array<${inputType(array[1])}>`;
+  if (/^u?int/.test(type)) return "number | string";
+  if (type === "bool") return "boolean";
+  return "string";
+}
+
+// Types of the values decoded by the wrappers, see decodeValue() in src/sdk/contracts.js
+function outputType(type, name) {
+  let array = type.match(/^(.*)\[\d*\]$/);
+
+  if (array) return `${outputType(array[1], name)}[]`;
+  if (/^u?int8$/.test(type)) return "number";
+  if (/^u?int/.test(type)) return NUMBERS.includes(name) ? "number" : "string";
+  if (type === "bool") return "boolean";
+  return "string";
+}
+
+function declareObject(fields, depth) {
+  let indent = INDENT.repeat(depth);
+  let lines = fields.map(
+    (field) => `${indent}${INDENT}${/^\w+$/.test(field.name) && isNaN(field.name) ? field.name : `"${field.name}"`}: ${field.type};`
+  );
+
+  return ["{", ...lines, `${indent}}`].join("\n");
+}
+
+function resultFields(abi, names) {
+  return abi.outputs.map((output, index) => ({
+    name: names[index],
+    type: outputType(output.type, names[index]),
+  }));
+}
+
+// Result interfaces shared by the getters of both contracts, which must agree on their types
+function declareResults(artifacts) {
+  let declared = {};
+
+  artifacts.forEach((artifact) => {
+    artifact.abi
+      .filter((abi) => abi.type === "function" && OUTPUTS[abi.name])
+      .forEach((abi) => {
+        let result = OUTPUTS[abi.name];
+        let names = RESULTS[result];
+
+        if (abi.outputs.length !== names.length) {
+          throw new Error(`${artifact.contractName}.${abi.name} returns ${abi.outputs.length} values, ${result} names ${names.length}`);
+        }
+
+        let body = declareObject(resultFields(abi, names), 0);
+        if (declared[result] && declared[result] !== body) {
+          throw new Error(`${artifact.contractName}.${abi.name} returns another ${result} than the other getters`);
+        }
+        declared[result] = body;
+      });
+  });
+
+  return Object.keys(declared).map((result) => `export interface ${result} ${declared[result]}`);
+}
+
+function returnType(abi) {
+  if (abi.outputs.length === 0) return "void";
+  if (abi.outputs.length === 1) return outputType(abi.outputs[0].type, null);
+  if (OUTPUTS[abi.name]) return OUTPUTS[abi.name];
+
+  let names = abi.outputs.map((output, index) => output.name || String(index));
+  return declareObject(resultFields(abi, names), 1);
+}
+
+function declareMethod(abi) {
+  let params = abi.inputs.map((input, index) => `${input.name || `arg${index}`}: ${inputType(input.type)}`);
+
+  if (!isCall(abi)) {
+    return `${INDENT}${abi.name}(${params.join(", ")}): ContractSendMethod;`;
+  }
+
+  params.push("options?: CallOptions");
+  return `${INDENT}${abi.name}(${params.join(", ")}): Promise<${returnType(abi)}>;`;
+}
+
+function declareContract(artifact) {
+  let name = artifact.contractName;
+  let events = artifact.abi.filter((abi) => abi.type === "event");
+  let methods = artifact.abi.filter((abi) => abi.type === "function");
+
+  let eventValues = events.map((abi) => {
+    let fields = abi.inputs.map((input) => ({
+      name: valueName(input),
+      type: outputType(input.type, valueName(input)),
+    }));
+    return `${INDENT}${abi.name}: ${declareObject(fields, 1)};`;
+  });
+
+  return [
+    eventValues.length > 0 ? [`export interface ${name}Events {`, ...eventValues, "}"].join("\n") : `export interface ${name}Events {}`,
+    "",
+    `export type ${name}Event = {`,
+    `${INDENT}[N in keyof ${name}Events]: DecodedEvent<N, ${name}Events[N]>;`,
+    `}[keyof ${name}Events];`,
+    "",
+    `export interface ${name} {`,
+    `${INDENT}contract: Contract;`,
+    `${INDENT}address: string;`,
+    ...methods.map(declareMethod),
+    `${INDENT}decodeEvent(event: EventData): ${name}Event;`,
+    `${INDENT}getPastEvents<N extends keyof ${name}Events>(name: N, options?: PastEventOptions): Promise<Array<DecodedEvent<N, ${name}Events[N]>>>;`,
+    `${INDENT}getPastEvents(name: "allEvents", options?: PastEventOptions): Promise<${name}Event[]>;`,
+    "}",
+  ].join("\n");
+}
+
+function generate(artifacts = CONTRACTS.map(readArtifact)) {
+  return [
+    "// Generated by scripts/generate-types.js from the ABIs in build/contracts, do not edit.",
+    "// Run `npm run types` after changing the contracts.",
+    'import { AbiItem } from "web3-utils";',
+    'import { CallOptions, Contract, ContractSendMethod, EventData, PastEventOptions } from "web3-eth-contract";',
+    "",
+    ...declareResults(artifacts).map((declaration) => `${declaration}\n`),
+    "export interface DecodedEvent<N, V> {",
+    `${INDENT}event: N;`,
+    `${INDENT}blockNumber: number;`,
+    `${INDENT}blockHash: string;`,
+    `${INDENT}transactionHash: string;`,
+    `${INDENT}logIndex: number;`,
+    `${INDENT}values: V;`,
+    "}",
+    "",
+    ...artifacts.map((artifact) => `${declareContract(artifact)}\n`),
+    "export function decodeResult(abi: AbiItem, result: any): any;",
+    "export function decodeEvent(abi: AbiItem, event: EventData): DecodedEvent<string, { [name: string]: any }>;",
+    `export function wrapContract<T extends ${CONTRACTS.join(" | ")}>(contract: Contract): T;`,
+    "",
+  ].join("\n");
+}
+
+if (require.main === module) {
+  try {
+    fs.writeFileSync(OUTPUT_FILE, generate());
+    console.log(`Wrote ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { generate, OUTPUT_FILE };
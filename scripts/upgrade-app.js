@@ -0,0 +1,70 @@
+// Deploys a new FlightSuretyApp for the FlightSuretyData of a network and
+// updates its deployment manifest:
+//
+//   truffle compile
+//   truffle exec scripts/upgrade-app.js --network development
+//
+const FlightSuretyApp = artifacts.require("FlightSuretyApp");
+const FlightSuretyData = artifacts.require("FlightSuretyData");
+const {
+  describeContract,
+  readManifest,
+  writeManifest,
+} = require("../migrations/lib/deployment");
+const { upgradeApp } = require("../migrations/lib/upgrade");
+
+function getNetwork() {
+  let index = process.argv.indexOf("--network");
+  return index === -1 ? "development" : process.argv[index + 1];
+}
+
+module.exports = async function (callback) {
+  try {
+    let network = getNetwork();
+    let manifest = readManifest(network);
+    let accounts = await web3.eth.getAccounts();
+    let owner = accounts[0];
+
+    let flightSuretyData = await FlightSuretyData.at(manifest.dataAddress);
+    let flightSuretyApp = await FlightSuretyApp.at(manifest.appAddress);
+
+    if (!(await flightSuretyApp.isContractOwner.call(owner))) {
+      throw new Error(`${owner} is not the owner of ${manifest.appAddress}`);
+    }
+
+    let result = await upgradeApp(FlightSuretyApp, {
+      flightSuretyData: flightSuretyData,
+      flightSuretyApp: flightSuretyApp,
+      from: owner,
+      web3: web3,
+      fromBlock: manifest.contracts.FlightSuretyApp.blockNumber,
+    });
+    let app = result.flightSuretyApp;
+
+    manifest.appAddress = app.address;
+    manifest.contracts.FlightSuretyApp = await describeContract(web3, app);
+    manifest.authorizedContracts = manifest.authorizedContracts
+      .filter((address) => address !== result.previousApp)
+      .concat(app.address);
+    manifest.upgrades = (manifest.upgrades || []).concat({
+      previousApp: result.previousApp,
+      app: app.address,
+      blockNumber: manifest.contracts.FlightSuretyApp.blockNumber,
+      airlineVotes: result.airlineVotes,
+      oracles: result.oracles,
+      parameterVotes: result.parameterVotes,
+      parameterChanges: result.parameterChanges,
+      operatingStatusVotes: result.operatingStatusVotes,
+      transactions: result.transactions,
+      upgradedAt: new Date().toISOString(),
+    });
+    writeManifest(manifest);
+
+    console.log(`FlightSuretyApp upgraded from ${result.previousApp} to ${app.address}`);
+    console.log(`Imported the votes of ${result.airlineVotes} airlines and ${result.oracles} oracles`);
+    console.log(`Imported the votes on ${result.parameterVotes} parameter values, ${result.parameterChanges} queued parameter changes and ${result.operatingStatusVotes} operating status approvals`);
+    callback();
+  } catch (error) {
+    callback(error);
+  }
+};
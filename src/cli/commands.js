@@ -0,0 +1,432 @@
+const fs = require('fs');
+const {
+    decodeFlightNumber,
+    diffSchedule,
+    encodeFlightNumber,
+    encodeParameterName,
+    formatParameterValue,
+    parseParameterValue,
+    PARAMETER_NAMES,
+    parseSchedule,
+    registerSchedule,
+    STATUS_LABELS,
+    validateSchedule
+} = require('../sdk');
+
+class UsageError extends Error {}
+
+function required(args, index, name) {
+    if (args[index] === undefined) throw new UsageError(`Missing <${name}>`);
+    return args[index];
+}
+
+function requireAddress(web3, address) {
+    if (!web3.utils.isAddress(address)) throw new UsageError(`Invalid address: ${address}`);
+    return address;
+}
+
+// Accepts unix seconds or anything Date can parse, e.g. 2026-10-19T10:30:00Z
+function toTimestamp(value) {
+    if (/^\d+$/.test(value)) return Number(value);
+
+    let time = Date.parse(value);
+    if (isNaN(time)) throw new UsageError(`Invalid time: ${value}`);
+    return Math.floor(time / 1000);
+}
+
+function formatTime(timestamp) {
+    return `${timestamp} (${new Date(timestamp * 1000).toISOString()})`;
+}
+
+// The operational status the funded airlines can currently approve, see FlightSuretyApp.setOperatingStatus
+async function getOperatingStatusProposal(cli) {
+    let operational = await cli.app.isOperational({ from: cli.from });
+
+    return {
+        operational: operational,
+        proposal: operational ? 'pause' : 'resume',
+        approvals: await cli.app.getOperatingStatusVotes(!operational, { from: cli.from }),
+        required: Number(await cli.app.getGovernanceConsensus({ from: cli.from }))
+    };
+}
+
+function requireParameter(name) {
+    if (!PARAMETER_NAMES.includes(name)) throw new UsageError(`Unknown parameter: ${name}, one of ${PARAMETER_NAMES.join(', ')}`);
+    return name;
+}
+
+// Value, queued change and values collecting votes, found from the ParameterVoted events
+async function showParameter(cli, name, events) {
+    let parameter = encodeParameterName(name);
+    let change = await cli.app.getParameterChange(parameter, { from: cli.from });
+    let values = events
+        .filter((event) => event.values.parameter === name)
+        .map((event) => event.values.value)
+        .filter((value, index, all) => all.indexOf(value) === index);
+    let voting = [];
+
+    for (let value of values) {
+        let votes = await cli.app.getParameterVotes(parameter, value, { from: cli.from });
+        if (votes.length > 0) voting.push(`${formatParameterValue(name, value)} (${votes.length} votes)`);
+    }
+
+    return {
+        parameter: name,
+        value: formatParameterValue(name, await cli.app.getParameter(parameter, { from: cli.from })),
+        queued: change.executableAt > 0
+            ? `${formatParameterValue(name, change.value)} from ${formatTime(change.executableAt)}`
+            : 'none',
+        voting: voting.join(', ') || 'none'
+    };
+}
+
+async function getParameterVotes(cli) {
+    return cli.app.getPastEvents('ParameterVoted', { fromBlock: cli.config.deploymentBlock || 0 });
+}
+
+function toEther(web3, wei) {
+    return `${web3.utils.fromWei(String(wei), 'ether')} ether`;
+}
+
+async function getFlight(cli, flight) {
+    let result = await cli.app.getFlight(encodeFlightNumber(flight), { from: cli.from });
+
+    return {
+        flight: flight,
+        isRegistered: result.isRegistered,
+        status: result.statusCode,
+        timestamp: result.timestamp,
+        airline: result.airline,
+        key: result.key
+    };
+}
+
+// Flights registered before an upgrade were announced by the previous app contracts
+async function getFlightNumbers(cli) {
+    let apps = (cli.config.upgrades || [])
+        .map((upgrade) => new cli.web3.eth.Contract(cli.app.contract.options.jsonInterface, upgrade.previousApp))
+        .concat(cli.app.contract);
+    let numbers = [];
+
+    for (let app of apps) {
+        let events = await app.getPastEvents('FlightRegistered', {
+            fromBlock: cli.config.deploymentBlock || 0,
+            toBlock: 'latest'
+        });
+        numbers.push(...events.map((event) => decodeFlightNumber(event.returnValues._flightNumber)));
+    }
+
+    return numbers;
+}
+
+async function showAirline(cli, address) {
+    let result = await cli.app.getAirline(address, { from: cli.from });
+    let votes = await cli.app.getAirlineVotes(address, { from: cli.from });
+
+    return {
+        airline: address,
+        name: result.name,
+        registered: result.isRegistered,
+        funded: result.isFunded,
+        balance: toEther(cli.web3, result.balance),
+        votes: votes.length
+    };
+}
+
+function showFlight(cli, flight) {
+    return {
+        flight: flight.flight,
+        registered: flight.isRegistered,
+        airline: flight.airline,
+        time: formatTime(flight.timestamp),
+        status: `${STATUS_LABELS[flight.status] || 'Unknown'} (${flight.status})`,
+        key: flight.key
+    };
+}
+
+function requireCount(value, name) {
+    if (!/^[1-9]\d*$/.test(value)) throw new UsageError(`Invalid ${name}: ${value}`);
+    return Number(value);
+}
+
+function readCheckpoint(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : undefined;
+}
+
+// Written aside and renamed, an interrupted import never leaves half a checkpoint
+function writeCheckpoint(file, checkpoint) {
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint, null, 2), 'utf-8');
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+function showScheduleFlight(flight) {
+    let shown = {
+        line: flight.line,
+        flight: flight.flight,
+        airline: flight.airline,
+        time: formatTime(flight.timestamp),
+        action: flight.action
+    };
+
+    return flight.reason ? Object.assign(shown, { reason: flight.reason }) : shown;
+}
+
+function showScheduleError(error) {
+    return { line: error.line, flight: error.flight, action: 'invalid', reason: error.error };
+}
+
+/**
+ * Commands by group and action. Each takes the connected cli and the
+ * positional arguments, and resolves to what should be printed.
+ */
+const commands = {
+    airline: {
+        register: {
+            usage: '<address> <name>',
+            description: 'Register an airline, or add a vote once consensus is required',
+            run: async (cli, args) => {
+                let address = requireAddress(cli.web3, required(args, 0, 'address'));
+                let name = required(args, 1, 'name');
+
+                let receipt = await cli.send(cli.app.registerAirline(address, name));
+                return [ receipt, await showAirline(cli, address) ];
+            }
+        },
+        vote: {
+            usage: '<address> <name>',
+            description: 'Vote for an airline waiting for multi-party consensus',
+            run: (cli, args) => commands.airline.register.run(cli, args)
+        },
+        fund: {
+            usage: '[ether]',
+            description: 'Fund the sending airline, AIRLINE_MINIMUM_FEE by default',
+            run: async (cli, args) => {
+                let value = args[0]
+                    ? cli.web3.utils.toWei(args[0], 'ether')
+                    : await cli.app.getParameter(encodeParameterName('AIRLINE_MINIMUM_FEE'), { from: cli.from });
+
+                let receipt = await cli.send(cli.app.fundAirline(), { value: value });
+                return [ receipt, await showAirline(cli, cli.from) ];
+            }
+        },
+        show: {
+            usage: '[address]',
+            description: 'Show an airline, the sending account by default',
+            run: (cli, args) => showAirline(cli, requireAddress(cli.web3, args[0] || cli.from))
+        }
+    },
+    flight: {
+        register: {
+            usage: '<flight> <time>',
+            description: 'Register a flight of the sending airline, time in unix seconds or ISO 8601',
+            run: async (cli, args) => {
+                let flight = required(args, 0, 'flight');
+                let timestamp = toTimestamp(required(args, 1, 'time'));
+
+                let receipt = await cli.send(cli.app.registerFlight(encodeFlightNumber(flight), timestamp));
+                return [ receipt, showFlight(cli, await getFlight(cli, flight)) ];
+            }
+        },
+        status: {
+            usage: '<flight>',
+            description: 'Show a flight and its status',
+            run: async (cli, args) => showFlight(cli, await getFlight(cli, required(args, 0, 'flight')))
+        },
+        request: {
+            usage: '<flight>',
+            description: 'Ask the oracles for the status of a registered flight',
+            run: async (cli, args) => {
+                let flight = await getFlight(cli, required(args, 0, 'flight'));
+                if (!flight.isRegistered) throw new Error('Flight is not registered');
+
+                let receipt = await cli.send(cli.app.fetchFlightStatus(flight.airline, flight.flight, flight.timestamp));
+                return [ receipt, {
+                    flight: flight.flight,
+                    airline: flight.airline,
+                    time: formatTime(flight.timestamp),
+                    index: receipt.events.OracleRequest.returnValues.index
+                } ];
+            }
+        },
+        import: {
+            usage: '<file>',
+            description: 'Register the flights of a CSV or JSON schedule, each sent by its airline',
+            run: async (cli, args) => {
+                let file = required(args, 0, 'file');
+                let batchSize = requireCount(cli.options.batch || '10', 'batch');
+                let checkpointFile = cli.options.checkpoint || `${file}.checkpoint.json`;
+                let { flights, errors } = validateSchedule(parseSchedule(fs.readFileSync(file, 'utf-8')));
+
+                if (errors.length > 0 && !cli.options['dry-run']) {
+                    let lines = errors.map((error) => `  line ${error.line} (${error.flight}): ${error.error}`);
+                    throw new Error(`Invalid schedule, nothing was registered\n${lines.join('\n')}`);
+                }
+
+                let diff = await diffSchedule(cli.app, flights, { from: cli.from, signers: cli.accounts });
+                let skipped = diff.filter((flight) => flight.action !== 'register');
+
+                if (cli.options['dry-run']) return errors.map(showScheduleError).concat(diff.map(showScheduleFlight));
+
+                let checkpoint = readCheckpoint(checkpointFile);
+                let importedBefore = (flight) => Boolean(checkpoint && checkpoint.registered[flight.flightNumber]);
+                let progress = await registerSchedule(cli.app, diff, {
+                    checkpoint: checkpoint,
+                    batchSize: batchSize,
+                    send: (method, flight) => cli.send(method, { from: flight.airline }),
+                    onBatch: (progress, checkpoint) => {
+                        writeCheckpoint(checkpointFile, checkpoint);
+                        console.log(`Batch ${progress.batch}/${progress.batches}: ${progress.registered} of ${progress.total} flights registered, ${progress.failed.length} failed`);
+                    }
+                });
+
+                return skipped.filter((flight) => flight.action === 'conflict').map(showScheduleFlight)
+                    .concat(progress.failed.map((failure) => ({ line: failure.line, flight: failure.flight, action: 'failed', reason: failure.error })))
+                    .concat({
+                        registered: progress.registered,
+                        resumed: progress.resumed,
+                        unchanged: skipped.filter((flight) => flight.action === 'registered' && !importedBefore(flight)).length,
+                        conflicts: skipped.filter((flight) => flight.action === 'conflict').length,
+                        failed: progress.failed.length,
+                        checkpoint: checkpointFile
+                    });
+            }
+        },
+        list: {
+            usage: '',
+            description: 'List the registered flights',
+            run: async (cli) => {
+                let flights = [];
+
+                for (let flight of await getFlightNumbers(cli)) {
+                    flights.push(showFlight(cli, await getFlight(cli, flight)));
+                }
+                return flights;
+            }
+        }
+    },
+    insurance: {
+        buy: {
+            usage: '<flight> <ether>',
+            description: 'Insure the sending passenger on a flight',
+            run: async (cli, args) => {
+                let flight = required(args, 0, 'flight');
+                let value = cli.web3.utils.toWei(required(args, 1, 'ether'), 'ether');
+
+                let receipt = await cli.send(cli.app.buyInsurance(encodeFlightNumber(flight)), { value: value });
+                return [ receipt, ...await commands.insurance.list.run(cli, [ cli.from ], [ flight ]) ];
+            }
+        },
+        list: {
+            usage: '[passenger]',
+            description: 'List the insurances of a passenger, the sending account by default',
+            run: async (cli, args, flights) => {
+                let passenger = requireAddress(cli.web3, args[0] || cli.from);
+                let insurances = [];
+
+                for (let flight of flights || await getFlightNumbers(cli)) {
+                    let result = await cli.app.getInsurance(encodeFlightNumber(flight), passenger, { from: cli.from });
+                    if (Number(result.passenger) === 0) continue;
+
+                    insurances.push({
+                        flight: flight,
+                        passenger: result.passenger,
+                        value: toEther(cli.web3, result.value),
+                        credited: result.isPayed,
+                        balance: toEther(cli.web3, result.balance)
+                    });
+                }
+                return insurances;
+            }
+        }
+    },
+    parameter: {
+        list: {
+            usage: '',
+            description: 'Show the parameters of the app contract with their queued changes and votes',
+            run: async (cli) => {
+                let events = await getParameterVotes(cli);
+                let parameters = [];
+
+                for (let name of PARAMETER_NAMES) parameters.push(await showParameter(cli, name, events));
+                return parameters;
+            }
+        },
+        vote: {
+            usage: '<name> <value>',
+            description: 'Vote for a parameter value as a funded airline, fees in ether',
+            run: async (cli, args) => {
+                let name = requireParameter(required(args, 0, 'name'));
+                let value;
+
+                try {
+                    value = parseParameterValue(name, required(args, 1, 'value'));
+                } catch (error) {
+                    throw error instanceof UsageError ? error : new UsageError(error.message);
+                }
+
+                let receipt = await cli.send(cli.app.voteForParameter(encodeParameterName(name), value));
+                return [ receipt, await showParameter(cli, name, await getParameterVotes(cli)) ];
+            }
+        },
+        execute: {
+            usage: '<name>',
+            description: 'Change a parameter to its queued value once the timelock has passed',
+            run: async (cli, args) => {
+                let name = requireParameter(required(args, 0, 'name'));
+
+                let receipt = await cli.send(cli.app.executeParameterChange(encodeParameterName(name)));
+                return [ receipt, await showParameter(cli, name, await getParameterVotes(cli)) ];
+            }
+        }
+    },
+    contract: {
+        status: {
+            usage: '',
+            description: 'Show the addresses and operating status of the contracts',
+            run: async (cli) => ({
+                network: `${cli.config.network} (chain ${cli.config.chainId})`,
+                app: cli.app.address,
+                data: cli.data.address,
+                deployed: `block ${cli.config.deploymentBlock} at ${cli.config.deployedAt}`,
+                seeded: cli.config.seeded.fixture
+                    ? `${cli.config.seeded.airlines.length} airlines and ${cli.config.seeded.flights.length} flights from ${cli.config.seeded.fixture}`
+                    : 'nothing',
+                // Read through the app, the data contract only answers its administrators
+                operational: await cli.app.isOperational({ from: cli.from }),
+                owner: await cli.app.isContractOwner(cli.from) ? cli.from : 'not the sending account'
+            })
+        },
+        proposal: {
+            usage: '',
+            description: 'Show the pending pause or resume proposal and the airlines that approved it',
+            run: async (cli) => getOperatingStatusProposal(cli)
+        },
+        approve: {
+            usage: '<pause|resume>',
+            description: 'Approve pausing or resuming the contracts as a funded airline',
+            run: async (cli, args) => {
+                let action = required(args, 0, 'pause|resume');
+                if (action !== 'pause' && action !== 'resume') throw new UsageError(`Invalid action: ${action}`);
+
+                return [
+                    await cli.send(cli.app.setOperatingStatus(action === 'resume')),
+                    await getOperatingStatusProposal(cli)
+                ];
+            }
+        },
+        authorize: {
+            usage: '[address]',
+            description: 'Allow an account or contract to call the data contract as its owner, the app contract by default',
+            run: async (cli, args) => cli.send(cli.data.authorizeContract(
+                requireAddress(cli.web3, args[0] || cli.app.address)))
+        },
+        deauthorize: {
+            usage: '<address>',
+            description: 'Revoke the data contract access of an account or contract as its owner',
+            run: async (cli, args) => cli.send(cli.data.deauthorizeContract(
+                requireAddress(cli.web3, required(args, 0, 'address'))))
+        }
+    }
+};
+
+module.exports = { commands, UsageError };
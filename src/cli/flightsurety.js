@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+const path = require('path');
+const Web3 = require('web3');
+const FlightSuretyApp = require('../../build/contracts/FlightSuretyApp.json');
+const FlightSuretyData = require('../../build/contracts/FlightSuretyData.json');
+const {
+    wrapContract,
+    DEFAULT_NETWORK,
+    selectNetwork,
+    checkNetwork,
+    revertReason
+} = require('../sdk');
+const { commands, UsageError } = require('./commands');
+
+const GAS = 3000000;
+
+const OPTIONS = {
+    from: 'Sending account, an address or an account index (default 0)',
+    mnemonic: 'Sign with accounts derived from this mnemonic instead of the node accounts (or MNEMONIC)',
+    network: `Truffle network name or chain id of the deployment (or NETWORK, default ${DEFAULT_NETWORK})`,
+    config: 'Config file written by the migration (default src/server/config.json)',
+    gas: `Gas limit of transactions (default ${GAS})`,
+    'dry-run': 'Only show what `flight import` would register',
+    checkpoint: 'Checkpoint file of `flight import` (default <file>.checkpoint.json)',
+    batch: 'Flights sent at once by `flight import` (default 10)'
+};
+
+// Options given without a value
+const FLAGS = ['help', 'dry-run'];
+
+// Splits `--name value`, `--name=value` and FLAGS options from the positional arguments
+function parseArgs(argv) {
+    let args = [];
+    let options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        let match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+
+        if (!match) args.push(argv[i]);
+        else if (match[2] !== undefined) options[match[1]] = match[2];
+        else if (FLAGS.includes(match[1])) options[match[1]] = true;
+        else options[match[1]] = argv[++i];
+    }
+
+    return { args, options };
+}
+
+function usage(group) {
+    let lines = [ 'Usage: flightsurety <group> <action> [arguments] [options]', '' ];
+
+    Object.keys(commands)
+        .filter((name) => !group || name === group)
+        .forEach((name) => {
+            Object.keys(commands[name]).forEach((key) => {
+                let command = commands[name][key];
+                lines.push(`  ${`${name} ${key} ${command.usage}`.padEnd(40)} ${command.description}`);
+            });
+        });
+
+    lines.push('', 'Options:');
+    Object.keys(OPTIONS).forEach((name) => lines.push(`  ${`--${name}`.padEnd(40)} ${OPTIONS[name]}`));
+
+    return lines.join('\n');
+}
+
+// Picks a deployment of the config file by truffle network name or chain id
+function loadConfig(options) {
+    let file = path.resolve(options.config || path.join(__dirname, '../server/config.json'));
+    let network = options.network || process.env.NETWORK || DEFAULT_NETWORK;
+    let deployments;
+
+    try {
+        deployments = require(file);
+    } catch (error) {
+        throw new Error(`Cannot read ${file}, run truffle migrate first`);
+    }
+
+    let config = selectNetwork(deployments, network);
+    if (!config) throw new Error(`Network ${network} is not in ${file}, run truffle migrate --network ${network}`);
+
+    return config;
+}
+
+async function connect(options) {
+    let config = loadConfig(options);
+    let mnemonic = options.mnemonic || process.env.MNEMONIC;
+    let from = options.from || '0';
+    let provider;
+
+    if (mnemonic) {
+        // Loaded on demand, the wallet provider is slow to require
+        const HDWalletProvider = require('truffle-hdwallet-provider');
+        let count = /^\d+$/.test(from) ? Number(from) + 1 : 10;
+        provider = new HDWalletProvider(mnemonic, config.url, 0, count);
+    } else {
+        provider = new Web3.providers.HttpProvider(config.url);
+    }
+
+    let web3 = new Web3(provider);
+    // Refuses to send transactions to the addresses of another chain, of a stale
+    // deployment or with ABIs compiled after the deployment
+    await checkNetwork(web3, config, { FlightSuretyApp, FlightSuretyData });
+
+    let accounts = await web3.eth.getAccounts();
+
+    if (/^\d+$/.test(from)) {
+        from = accounts[Number(from)];
+        if (!from) throw new Error(`There is no account ${options.from}`);
+    } else if (!accounts.some((account) => account.toLowerCase() === from.toLowerCase())) {
+        throw new Error(`Account ${from} cannot sign, use a node account or an account of the mnemonic`);
+    }
+
+    return {
+        web3: web3,
+        provider: provider,
+        from: from,
+        accounts: accounts,
+        options: options,
+        config: config,
+        // Getters resolve to named results, the web3 contracts are app.contract and data.contract
+        app: wrapContract(new web3.eth.Contract(FlightSuretyApp.abi, config.appAddress)),
+        data: wrapContract(new web3.eth.Contract(FlightSuretyData.abi, config.dataAddress)),
+        send: (method, sendOptions) => method.send(Object.assign({ from: from, gas: Number(options.gas || GAS) }, sendOptions))
+    };
+}
+
+function formatReceipt(receipt) {
+    return {
+        transaction: receipt.transactionHash,
+        block: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        events: Object.keys(receipt.events || {}).join(', ') || 'none'
+    };
+}
+
+function print(result) {
+    if (Array.isArray(result)) {
+        if (result.length === 0) console.log('Nothing found');
+        return result.forEach((item, index) => {
+            if (index > 0) console.log('');
+            print(item);
+        });
+    }
+
+    if (result === null || typeof result !== 'object') return console.log(String(result));
+    if (result.transactionHash) result = formatReceipt(result);
+
+    let width = Math.max(...Object.keys(result).map((key) => key.length));
+    Object.keys(result).forEach((key) => console.log(`${key.padEnd(width)}  ${result[key]}`));
+}
+
+async function main(argv) {
+    let { args, options } = parseArgs(argv);
+    let [ group, action, ...rest ] = args;
+    let command = commands[group] && commands[group][action];
+
+    if (options.help || !command) {
+        console.log(usage(commands[group] ? group : null));
+        return options.help ? 0 : 1;
+    }
+
+    let cli = await connect(options);
+
+    try {
+        print(await command.run(cli, rest));
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\nUsage: flightsurety ${group} ${action} ${command.usage} [options]`);
+        } else {
+            console.error(`Error: ${revertReason(error)}`);
+        }
+        return 1;
+    } finally {
+        if (cli.provider.engine) cli.provider.engine.stop();
+    }
+}
+
+main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
@@ -1,56 +1,552 @@
 import FlightSuretyApp from '../../build/contracts/FlightSuretyApp.json';
 import Config from './config.json';
 import Web3 from 'web3';
+import {
+    checkNetwork,
+    decodeFlightNumber,
+    DEFAULT_NETWORK,
+    encodeFlightNumber,
+    encodeParameterName,
+    PARAMETERS,
+    PARAMETER_NAMES,
+    revertReason,
+    selectNetwork,
+    STATUS_CODES,
+    STATUS_LABELS,
+    wrapContract
+} from '../sdk';
+
+const FLIGHT_STATUS_EVENTS = ['OracleReport', 'FlightStatusInfo'];
+const POLL_INTERVAL = 2000;
+
+// Oracle server pushing the indexed events on /api/stream
+export const SERVER_URL = 'http://localhost:3000';
+
+const GAS = 3000000;
+
+/**
+ * Reports the named result of a getter of the sdk wrapper to a callback, along
+ * with encoding errors such as a flight number longer than 32 bytes
+ */
+function call(getter, callback, format = (result) => result) {
+    new Promise((resolve) => resolve(getter()))
+        .then((result) => callback(null, format(result)), callback);
+}
+
+export const ROLES = {
+    OWNER: 'owner',
+    FUNDED_AIRLINE: 'funded airline',
+    REGISTERED_AIRLINE: 'registered airline',
+    PASSENGER: 'passenger'
+};
+
+// Owner, airlines and passengers used from an unlocked development node
+const DEVELOPMENT_ACCOUNTS = 11;
 
 export default class Contract {
     constructor(network, callback) {
 
-        let config = Config[network];
-        this.web3 = new Web3(new Web3.providers.HttpProvider(config.url));
+        // An unknown network is reported by initialize()
+        let config = selectNetwork(Config, network || DEFAULT_NETWORK) || { network: network };
+        this.config = config;
+        // Prefer an injected EIP-1193 wallet, fall back to the local node
+        this.provider = typeof window !== 'undefined' && window.ethereum ? window.ethereum : null;
+        this.web3 = new Web3(this.provider || new Web3.providers.HttpProvider(config.url));
         this.flightSuretyApp = new this.web3.eth.Contract(FlightSuretyApp.abi, config.appAddress);
+        this.app = wrapContract(this.flightSuretyApp);
+        this.listeners = { accountsChanged: [], chainChanged: [] };
+        this.serverUrl = SERVER_URL;
         this.initialize(callback);
-        this.owner = null;
-        this.airlines = [];
-        this.passengers = [];
+        this.account = null;
+        this.accounts = [];
     }
 
     initialize(callback) {
-        this.web3.eth.getAccounts((error, accts) => {
-           
-            this.owner = accts[0];
-
-            let counter = 1;
-            
-            while(this.airlines.length < 5) {
-                this.airlines.push(accts[counter++]);
-            }
+        let self = this;
+        let request = self.provider
+            ? self.provider.request({ method: 'eth_requestAccounts' })
+            : self.web3.eth.getAccounts();
 
-            while(this.passengers.length < 5) {
-                this.passengers.push(accts[counter++]);
+        request.then((accts) => {
+            self.setAccounts(accts);
+
+            if (self.provider) {
+                self.provider.on('accountsChanged', (accts) => {
+                    self.setAccounts(accts);
+                    self.emit('accountsChanged', self.accounts);
+                });
+                self.provider.on('chainChanged', (chainId) => self.emit('chainChanged', chainId));
             }
 
-            callback();
-        });
+            return self.checkNetwork();
+        }).then(() => callback(), callback);
+    }
+
+    /**
+     * Fails when the wallet or node is on another chain than the selected
+     * deployment, when the deployment is stale (e.g. ganache was restarted)
+     * or when the bundled FlightSuretyApp ABI was compiled after it
+     */
+    checkNetwork() {
+        return checkNetwork(this.web3, this.config, { FlightSuretyApp });
+    }
+
+    setAccounts(accts) {
+        this.accounts = this.provider ? accts : accts.slice(0, DEVELOPMENT_ACCOUNTS);
+        this.account = this.accounts[0];
+    }
+
+    on(event, listener) {
+        this.listeners[event].push(listener);
+    }
+
+    emit(event, ...args) {
+        this.listeners[event].forEach((listener) => listener(...args));
+    }
+
+    /**
+     * Determines the role of an account from the contracts. The owner is
+     * reported as such even though it is also the first registered airline.
+     */
+    getRole(account, callback) {
+        let self = this;
+        Promise.all([
+            self.app.isContractOwner(account, { from: account }),
+            self.app.getAirline(account, { from: account })
+        ]).then(([isOwner, airline]) => {
+            let role = isOwner ? ROLES.OWNER
+                : airline.isFunded ? ROLES.FUNDED_AIRLINE
+                : airline.isRegistered ? ROLES.REGISTERED_AIRLINE
+                : ROLES.PASSENGER;
+
+            callback(null, {
+                account: account,
+                role: role,
+                isOwner: isOwner,
+                isRegistered: airline.isRegistered,
+                isFunded: airline.isFunded
+            });
+        }, callback);
+    }
+
+    getRoles(callback) {
+        let self = this;
+        Promise.all(self.accounts.map((account) => new Promise((resolve, reject) => {
+            self.getRole(account, (error, result) => error ? reject(error) : resolve(result));
+        }))).then((roles) => callback(null, roles), callback);
+    }
+
+    /**
+     * Sends a transaction and reports each step to the callback as
+     * { status: 'pending' | 'confirmed' | 'failed', hash, reason }
+     */
+    send(method, options, callback) {
+        method
+            .send(Object.assign({ gas: GAS }, options))
+            .on('transactionHash', (hash) => callback(null, { status: 'pending', hash: hash }))
+            .on('receipt', (receipt) => callback(null, { status: 'confirmed', hash: receipt.transactionHash, receipt: receipt }))
+            .on('error', (error) => callback(error, { status: 'failed', reason: revertReason(error) }));
     }
 
     isOperational(callback) {
        let self = this;
-       self.flightSuretyApp.methods
-            .isOperational()
-            .call({ from: self.owner}, callback);
+       call(() => self.app.isOperational({ from: self.account }), callback);
+    }
+
+    getAirline(airline, callback) {
+        let self = this;
+        call(() => self.app.getAirline(airline, { from: self.account }), callback, (result) => ({
+            name: result.name,
+            isRegistered: result.isRegistered,
+            isFunded: result.isFunded,
+            balance: self.web3.utils.fromWei(result.balance, 'ether')
+        }));
+    }
+
+    /**
+     * Reports the votes collected by an airline and how many it needs. Until
+     * AIRLINE_CONSENSUS airlines are registered no vote is required.
+     */
+    getAirlineVotes(airline, callback) {
+        let self = this;
+        Promise.all([
+            self.app.getAirlinesRegistered({ from: self.account }),
+            self.app.getAirlineVotes(airline, { from: self.account }),
+            self.app.getParameter(encodeParameterName('AIRLINE_CONSENSUS'), { from: self.account }),
+            self.app.getParameter(encodeParameterName('AIRLINE_CONSENSUS_VOTES'), { from: self.account })
+        ]).then(([registered, votes, consensus, consensusVotes]) => {
+            registered = Number(registered);
+            callback(null, {
+                votes: votes,
+                registered: registered,
+                consensus: Number(consensus),
+                required: registered < Number(consensus) ? 0 : Math.floor(registered * Number(consensusVotes) / 100)
+            });
+        }, callback);
+    }
+
+    /**
+     * Reads one of PARAMETER_NAMES from FlightSuretyApp, as a decimal string
+     */
+    getParameter(name, callback) {
+        let self = this;
+        call(() => self.app.getParameter(encodeParameterName(name), { from: self.account }), callback);
+    }
+
+    /**
+     * Lists the parameters with their current value, the change waiting for its
+     * timelock (null when there is none) and the values still collecting votes,
+     * found from the ParameterVoted events
+     */
+    getParameters(callback) {
+        let self = this;
+        let options = { from: self.account };
+
+        self.app.getPastEvents('ParameterVoted', { fromBlock: self.config.deploymentBlock || 0 })
+            .then((events) => Promise.all(PARAMETER_NAMES.map((name) => {
+                let parameter = encodeParameterName(name);
+                let values = events
+                    .filter((event) => event.values.parameter === name)
+                    .map((event) => event.values.value)
+                    .filter((value, index, all) => all.indexOf(value) === index);
+
+                return Promise.all([
+                    self.app.getParameter(parameter, options),
+                    self.app.getParameterChange(parameter, options),
+                    Promise.all(values.map((value) => self.app.getParameterVotes(parameter, value, options)
+                        .then((votes) => ({ value: value, votes: votes }))))
+                ]).then(([value, change, proposals]) => ({
+                    name: name,
+                    unit: PARAMETERS[name].unit,
+                    value: value,
+                    change: change.executableAt > 0 ? change : null,
+                    proposals: proposals.filter((proposal) => proposal.votes.length > 0)
+                }));
+            })))
+            .then((parameters) => callback(null, parameters), callback);
+    }
+
+    voteForParameter(name, value, from, callback) {
+        let self = this;
+        self.send(self.app.voteForParameter(encodeParameterName(name), value), { from: from }, callback);
+    }
+
+    executeParameterChange(name, from, callback) {
+        let self = this;
+        self.send(self.app.executeParameterChange(encodeParameterName(name)), { from: from }, callback);
+    }
+
+    /**
+     * Reports the operational status the funded airlines can approve, the
+     * opposite of the current one, with the airlines that approved it and how
+     * many approvals it needs. Readable while the contracts are paused.
+     */
+    getOperatingStatusProposal(callback) {
+        let self = this;
+        self.app.isOperational({ from: self.account }).then((operational) => Promise.all([
+            self.app.getOperatingStatusVotes(!operational, { from: self.account }),
+            self.app.getGovernanceConsensus({ from: self.account })
+        ]).then(([votes, required]) => callback(null, {
+            operational: operational,
+            mode: !operational,
+            votes: votes,
+            required: Number(required)
+        }))).catch(callback);
+    }
+
+    setOperatingStatus(mode, from, callback) {
+        let self = this;
+        self.send(self.app.setOperatingStatus(mode), { from: from }, callback);
+    }
+
+    registerAirline(airline, name, from, callback) {
+        let self = this;
+        self.send(self.app.registerAirline(airline, name), { from: from }, callback);
+    }
+
+    /**
+     * Pays the current AIRLINE_MINIMUM_FEE
+     */
+    fundAirline(from, callback) {
+        let self = this;
+        self.getParameter('AIRLINE_MINIMUM_FEE', (error, fee) => {
+            if (error) return callback(error, { status: 'failed', reason: revertReason(error) });
+
+            self.send(self.app.fundAirline(), { from: from, value: fee }, callback);
+        });
+    }
+
+    getFlight(flight, callback) {
+        let self = this;
+        call(() => self.app.getFlight(encodeFlightNumber(flight), { from: self.account }), callback, (result) => ({
+            flight: flight,
+            isRegistered: result.isRegistered,
+            statusCode: result.statusCode,
+            status: STATUS_LABELS[result.statusCode],
+            timestamp: result.timestamp,
+            airline: result.airline,
+            key: result.key
+        }));
+    }
+
+    /**
+     * Lists the flights announced by FlightRegistered events with their current state
+     */
+    getFlights(callback) {
+        let self = this;
+        // Flights registered before an upgrade were announced by the previous app contracts
+        let apps = (self.config.upgrades || [])
+            .map((upgrade) => new self.web3.eth.Contract(FlightSuretyApp.abi, upgrade.previousApp))
+            .concat(self.flightSuretyApp);
+
+        Promise.all(apps.map((app) => app.getPastEvents('FlightRegistered', { fromBlock: self.config.deploymentBlock || 0 })))
+            .then((events) => [].concat(...events))
+            .then((events) => Promise.all(events.map((event) => new Promise((resolve, reject) => {
+                let flight = decodeFlightNumber(event.returnValues._flightNumber);
+                self.getFlight(flight, (error, result) => error ? reject(error) : resolve(result));
+            }))))
+            .then((flights) => callback(null, flights), callback);
+    }
+
+    getInsurance(flight, passenger, callback) {
+        let self = this;
+        call(() => self.app.getInsurance(encodeFlightNumber(flight), passenger, { from: self.account }), callback, (result) => ({
+            flight: flight,
+            passenger: result.passenger,
+            isInsured: result.passenger !== '0x0000000000000000000000000000000000000000',
+            value: self.web3.utils.fromWei(result.value, 'ether'),
+            isPayed: result.isPayed,
+            balance: self.web3.utils.fromWei(result.balance, 'ether')
+        }));
+    }
+
+    /**
+     * Checks the same conditions as the buyInsurance modifiers before sending
+     * the transaction, so the passenger does not pay gas for a revert
+     */
+    buyInsurance(flight, amount, from, callback) {
+        let self = this;
+        let fail = (reason) => callback(new Error(reason), { status: 'failed', reason: reason });
+        let value;
+
+        try {
+            value = self.web3.utils.toBN(self.web3.utils.toWei(String(amount), 'ether'));
+        } catch (error) {
+            return fail(`Invalid amount: ${amount}`);
+        }
+
+        if (value.lten(0)) return fail('Amount must be greater than zero');
+
+        self.getParameter('FLIGHT_MAX_INSURANCE', (error, maximum) => {
+            if (error) return fail(revertReason(error));
+            if (value.gt(self.web3.utils.toBN(maximum))) return fail('Exceeded amount to buy insurance');
+
+            self.getFlight(flight, (error, result) => {
+                if (error) return fail(revertReason(error));
+                if (!result.isRegistered) return fail('Flight is not  registered');
+
+                self.getInsurance(flight, from, (error, insurance) => {
+                    if (error) return fail(revertReason(error));
+                    if (insurance.isInsured) return fail('Insurance exists already');
+
+                    self.send(self.app.buyInsurance(encodeFlightNumber(flight)), {
+                        from: from,
+                        value: value.toString()
+                    }, callback);
+                });
+            });
+        });
+    }
+
+    /**
+     * Lists the insurances a passenger holds across the registered flights
+     */
+    getPayouts(passenger, callback) {
+        let self = this;
+        self.getFlights((error, flights) => {
+            if (error) return callback(error);
+
+            Promise.all(flights.map((flight) => new Promise((resolve, reject) => {
+                self.getInsurance(flight.flight, passenger, (error, insurance) => {
+                    error ? reject(error) : resolve(Object.assign({ status: flight.status }, insurance));
+                });
+            })))
+                .then((insurances) => callback(null, insurances.filter((insurance) => insurance.isInsured)), callback);
+        });
+    }
+
+    withdraw(flight, from, callback) {
+        let self = this;
+        self.send(self.app.withdraw(encodeFlightNumber(flight)), { from: from }, callback);
     }
 
+    /**
+     * Requests the status of a registered flight with its own airline and
+     * scheduled time, so the oracle request matches the stored flight key
+     */
     fetchFlightStatus(flight, callback) {
         let self = this;
         let payload = {
-            airline: self.airlines[0],
+            airline: null,
             flight: flight,
-            timestamp: Math.floor(Date.now() / 1000)
-        } 
-        self.flightSuretyApp.methods
-            .fetchFlightStatus(payload.airline, payload.flight, payload.timestamp)
-            .send({ from: self.owner}, (error, result) => {
-                callback(error, payload);
+            timestamp: null
+        };
+
+        self.getFlight(flight, (error, result) => {
+            if (error) return callback(error, payload);
+            if (!result.isRegistered) return callback(new Error('Flight is not registered'), payload);
+
+            payload.airline = result.airline;
+            payload.timestamp = result.timestamp;
+
+            // Remember where the request starts so its responses can be watched from there
+            self.web3.eth.getBlockNumber().then((blockNumber) => {
+                payload.fromBlock = blockNumber;
+                self.app
+                    .fetchFlightStatus(payload.airline, payload.flight, payload.timestamp)
+                    .send({ from: self.account, gas: GAS }, (error, result) => {
+                        callback(error, payload);
+                    });
+            }, (error) => callback(error, payload));
+        });
+    }
+
+    /**
+     * Reports the OracleReport and FlightStatusInfo events answering one status
+     * request, then whether its insurees were credited. Events come from the
+     * stream of the oracle server, from a websocket subscription to the node when
+     * the server cannot be reached, or from polling when neither can be opened.
+     * Returns a function that stops watching.
+     */
+    watchFlightStatus(request, callback) {
+        let self = this;
+        let stopped = false;
+        let source = null;
+        let subscriptions = [];
+        let timer = null;
+        let seen = {};
+        let reports = {};
+
+        let handle = (event) => {
+            let values = event.returnValues;
+            let id = `${event.transactionHash}:${event.logIndex}`;
+
+            if (stopped || seen[id]) return;
+            if (values.airline.toLowerCase() !== request.airline.toLowerCase()) return;
+            if (values.flight !== request.flight || Number(values.timestamp) !== Number(request.timestamp)) return;
+            seen[id] = true;
+
+            let status = Number(values.status);
+            reports[status] = (reports[status] || 0) + (event.event === 'OracleReport' ? 1 : 0);
+
+            callback(null, {
+                event: event.event,
+                status: status,
+                statusName: STATUS_LABELS[status],
+                reports: reports[status],
+                transactionHash: event.transactionHash
             });
+
+            if (event.event === 'FlightStatusInfo') {
+                self.getFlight(request.flight, (error, flight) => {
+                    callback(error, {
+                        event: 'InsureesCredited',
+                        status: status,
+                        statusName: STATUS_LABELS[status],
+                        credited: status === STATUS_CODES.LATE_AIRLINE && Boolean(flight) && flight.isRegistered
+                            && flight.statusCode === STATUS_CODES.LATE_AIRLINE
+                            && flight.airline.toLowerCase() === request.airline.toLowerCase()
+                            && flight.timestamp === Number(request.timestamp)
+                    });
+                });
+            }
+        };
+
+        let poll = (fromBlock) => {
+            if (stopped) return;
+
+            self.web3.eth.getBlockNumber()
+                .then((latest) => {
+                    if (latest < fromBlock) return fromBlock;
+
+                    return Promise.all(FLIGHT_STATUS_EVENTS.map((name) => {
+                        return self.flightSuretyApp.getPastEvents(name, { fromBlock: fromBlock, toBlock: latest });
+                    })).then((lists) => {
+                        [].concat(...lists)
+                            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+                            .forEach(handle);
+                        return latest + 1;
+                    });
+                })
+                .then((next) => {
+                    if (!stopped) timer = setTimeout(() => poll(next), POLL_INTERVAL);
+                }, (error) => callback(error));
+        };
+
+        let fallback = () => {
+            if (timer !== null || stopped) return;
+            subscriptions.forEach((subscription) => subscription.unsubscribe());
+            timer = setTimeout(() => poll(request.fromBlock || 0), 0);
+        };
+
+        let subscribe = () => {
+            if (stopped) return;
+
+            try {
+                let app = self.getEventsContract();
+                subscriptions = FLIGHT_STATUS_EVENTS.map((name) => {
+                    return app.events[name]({ fromBlock: request.fromBlock || 'latest' })
+                        .on('data', handle)
+                        .on('error', fallback);
+                });
+            } catch (error) {
+                fallback();
+            }
+        };
+
+        if (self.serverUrl && typeof EventSource !== 'undefined') {
+            let opened = false;
+            let query = FLIGHT_STATUS_EVENTS.map((name) => `event=${name}`)
+                .concat(`flight=${encodeURIComponent(request.flight)}`, `airline=${request.airline}`)
+                .concat(request.fromBlock !== undefined ? `fromBlock=${request.fromBlock}` : [])
+                .join('&');
+
+            source = new EventSource(`${self.serverUrl}/api/stream?${query}`);
+            source.onopen = () => { opened = true; };
+            // Once open, EventSource reconnects on its own and resumes after the last event
+            source.onerror = () => {
+                if (opened) return;
+                source.close();
+                subscribe();
+            };
+            FLIGHT_STATUS_EVENTS.forEach((name) => source.addEventListener(name, (message) => {
+                let event = JSON.parse(message.data);
+
+                handle({
+                    event: event.event,
+                    transactionHash: event.transactionHash,
+                    logIndex: event.logIndex,
+                    returnValues: Object.assign({}, event.values, { status: event.values.status.code })
+                });
+            }));
+        } else {
+            subscribe();
+        }
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+            if (source) source.close();
+            subscriptions.forEach((subscription) => subscription.unsubscribe());
+        };
+    }
+
+    // The HTTP provider cannot subscribe to events, so they get their own websocket connection
+    getEventsContract() {
+        if (!this.eventsApp) {
+            let web3 = new Web3(new Web3.providers.WebsocketProvider(this.config.wsUrl));
+            this.eventsApp = new web3.eth.Contract(FlightSuretyApp.abi, this.config.appAddress);
+        }
+        return this.eventsApp;
     }
-}
\ No newline at end of file
+}
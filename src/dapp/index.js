@@ -1,6 +1,7 @@
 
 import DOM from './dom';
-import Contract from './contract';
+import Contract, { ROLES } from './contract';
+import { formatParameterValue, parseParameterValue, PARAMETER_NAMES } from '../sdk';
 import './flightsurety.css';
 
 
@@ -8,7 +9,15 @@ import './flightsurety.css';
 
     let result = null;
 
-    let contract = new Contract('localhost', () => {
+    // ?network= selects a deployment of config.json by truffle network name or chain id,
+    // ?server= the oracle server streaming flight status updates
+    let params = new URLSearchParams(window.location.search);
+    let network = params.get('network');
+
+    let contract = new Contract(network, (error) => {
+        contract.on('chainChanged', () => window.location.reload());
+        contract.serverUrl = params.get('server') || contract.serverUrl;
+        if (error) return display('Network', 'Check the deployment of the selected network', [ { label: 'Network', error: error } ]);
 
         // Read transaction
         contract.isOperational((error, result) => {
@@ -22,9 +31,265 @@ import './flightsurety.css';
             let flight = DOM.elid('flight-number').value;
             // Write transaction
             contract.fetchFlightStatus(flight, (error, result) => {
-                display('Oracles', 'Trigger oracles', [ { label: 'Fetch Flight Status', error: error, value: result.flight + ' ' + result.timestamp} ]);
+                let section = display('Oracles', 'Trigger oracles', [ { label: 'Fetch Flight Status', error: error, value: `${result.flight} ${result.airline} ${result.timestamp}` } ]);
+                if (error) return;
+
+                // Read once per request, a change of MIN_RESPONSES is rare
+                let minResponses = '?';
+                contract.getParameter('MIN_RESPONSES', (error, value) => {
+                    if (!error) minResponses = value;
+                });
+
+                // Live timeline of the oracle responses to this request
+                let stop = contract.watchFlightStatus(result, (error, update) => {
+                    if (error) return appendResult(section, { label: 'Oracles', error: error });
+
+                    if (update.event === 'OracleReport') {
+                        appendResult(section, { label: 'Oracle Report', value: `${update.statusName} (${update.status}), ${update.reports} of ${minResponses} matching responses` });
+                    } else if (update.event === 'FlightStatusInfo') {
+                        appendResult(section, { label: 'Consensus', value: `${update.statusName} (${update.status}) confirmed by ${minResponses} oracles` });
+                    } else {
+                        appendResult(section, { label: 'Insurees', value: update.credited ? 'Credited' : 'Not credited' });
+                        stop();
+                    }
+                });
+            });
+        })
+
+
+        // Airline management
+        let accounts = DOM.elid('airline-account');
+
+        DOM.elid('register-airline').addEventListener('click', () => {
+            let airline = DOM.elid('airline-address').value.trim();
+            let name = DOM.elid('airline-name').value.trim();
+            contract.registerAirline(airline, name, accounts.value, transaction('Airlines', `Register or vote for ${name} ${airline}`));
+        })
+
+        DOM.elid('airline-votes').addEventListener('click', () => {
+            let airline = DOM.elid('airline-address').value.trim();
+            contract.getAirline(airline, (error, result) => {
+                contract.getAirlineVotes(airline, (votesError, votes) => {
+                    display('Airlines', `Airline ${airline}`, [
+                        { label: 'Name', error: error, value: result && result.name },
+                        { label: 'Registered', error: error, value: result && result.isRegistered },
+                        { label: 'Funded', error: error, value: result && `${result.isFunded} (${result.balance} ether)` },
+                        { label: 'Votes', error: votesError, value: votes && (votes.required === 0
+                            ? `Not required below ${votes.consensus} registered airlines`
+                            : `${votes.votes.length} of ${votes.required} required (${votes.registered} airlines registered)`) }
+                    ]);
+                });
+            });
+        })
+
+        DOM.elid('fund-airline').addEventListener('click', () => {
+            contract.fundAirline(accounts.value, transaction('Airlines', `Pay the airline fee from ${accounts.value}`));
+        })
+
+
+        // Pause and resume proposals, approved by the airline selected above
+        let refreshProposal = () => {
+            let list = DOM.elid('operating-approvals');
+
+            contract.getOperatingStatusProposal((error, proposal) => {
+                list.innerHTML = '';
+                if (error) return list.appendChild(DOM.div({ className: 'row' }, String(error)));
+
+                let action = proposal.mode ? 'Resume' : 'Pause';
+                DOM.elid('approve-operating-status').textContent = `Approve ${action}`;
+                list.appendChild(DOM.div({ className: 'row' },
+                    `${proposal.operational ? 'Operational' : 'Paused'}. ${action}: ${proposal.votes.length} of ${proposal.required} approvals`));
+                proposal.votes.forEach((voter) => list.appendChild(DOM.div({ className: 'row field-value' }, `Approved by ${voter}`)));
+            });
+        };
+        refreshProposal();
+        DOM.elid('operating-proposal').addEventListener('click', refreshProposal);
+
+        DOM.elid('approve-operating-status').addEventListener('click', () => {
+            contract.getOperatingStatusProposal((error, proposal) => {
+                let update = transaction('Operations', `${proposal ? (proposal.mode ? 'Resume' : 'Pause') : 'Pause or resume'} the contracts as ${accounts.value}`);
+                if (error) return update(error, { status: 'failed', reason: String(error) });
+
+                contract.setOperatingStatus(proposal.mode, accounts.value, (error, result) => {
+                    update(error, result);
+                    if (result.status !== 'confirmed') return;
+
+                    refreshProposal();
+                    contract.isOperational((error, result) => {
+                        display('Operational Status', 'Check if contract is operational', [ { label: 'Operational Status', error: error, value: result} ]);
+                    });
+                });
+            });
+        })
+
+
+        // Governable parameters, voted for by the airline selected above
+        let parameterNames = DOM.elid('parameter-name');
+        PARAMETER_NAMES.forEach((name) => parameterNames.appendChild(DOM.option({ value: name }, name)));
+
+        let refreshParameters = () => {
+            let list = DOM.elid('parameters-list');
+
+            contract.getParameters((error, parameters) => {
+                list.innerHTML = '';
+                if (error) return list.appendChild(DOM.div({ className: 'row' }, String(error)));
+
+                parameters.forEach((parameter) => {
+                    let row = list.appendChild(DOM.div({ className: 'row top-20' }));
+                    row.appendChild(DOM.div({ className: 'col-sm-4 field' }, parameter.name));
+                    row.appendChild(DOM.div({ className: 'col-sm-8 field-value' }, formatParameterValue(parameter.name, parameter.value)));
+
+                    if (parameter.name === 'AIRLINE_MINIMUM_FEE') {
+                        DOM.elid('fund-airline').textContent = `Pay ${formatParameterValue(parameter.name, parameter.value)} Fee`;
+                    }
+                    if (parameter.name === 'FLIGHT_MAX_INSURANCE') {
+                        let maximum = contract.web3.utils.fromWei(String(parameter.value), 'ether');
+                        DOM.elid('insurance-limit').textContent = `Insure a registered flight for up to ${maximum} ether`;
+                        DOM.elid('insurance-amount').max = maximum;
+                        if (!DOM.elid('insurance-amount').value) DOM.elid('insurance-amount').value = maximum;
+                    }
+
+                    parameter.proposals.forEach((proposal) => {
+                        list.appendChild(DOM.div({ className: 'row field-value' },
+                            `Voted ${formatParameterValue(parameter.name, proposal.value)} by ${proposal.votes.join(', ')}`));
+                    });
+
+                    if (!parameter.change) return;
+
+                    let executableAt = new Date(parameter.change.executableAt * 1000);
+                    let change = list.appendChild(DOM.div({ className: 'row' }));
+                    change.appendChild(DOM.div({ className: 'col-sm-8 field-value' },
+                        `Changes to ${formatParameterValue(parameter.name, parameter.change.value)} from ${executableAt.toLocaleString()}`));
+
+                    let button = change.appendChild(DOM.button({ className: 'btn btn-primary' }, 'Execute'));
+                    button.addEventListener('click', () => {
+                        let update = transaction('Parameters', `Change ${parameter.name} to ${formatParameterValue(parameter.name, parameter.change.value)}`);
+                        contract.executeParameterChange(parameter.name, accounts.value, (error, result) => {
+                            update(error, result);
+                            if (result.status === 'confirmed') refreshParameters();
+                        });
+                    });
+                });
+            });
+        };
+        refreshParameters();
+        DOM.elid('refresh-parameters').addEventListener('click', refreshParameters);
+
+        DOM.elid('vote-parameter').addEventListener('click', () => {
+            let name = parameterNames.value;
+            let value;
+
+            try {
+                value = parseParameterValue(name, DOM.elid('parameter-value').value);
+            } catch (error) {
+                return display('Parameters', `Vote for ${name}`, [ { label: 'Value', error: error } ]);
+            }
+
+            let update = transaction('Parameters', `Vote for ${name} = ${formatParameterValue(name, value)} as ${accounts.value}`);
+            contract.voteForParameter(name, value, accounts.value, (error, result) => {
+                update(error, result);
+                if (result.status === 'confirmed') refreshParameters();
             });
         })
+
+
+        // Passenger insurance
+        let passengers = DOM.elid('passenger-account');
+
+        // Registered flights, for insurance and for status requests
+        let flights = DOM.elid('insurance-flight');
+        let refreshFlights = () => {
+            contract.getFlights((error, result) => {
+                [ flights, DOM.elid('flight-number') ].forEach((select) => {
+                    let selected = select.value;
+                    select.innerHTML = '';
+
+                    (result || []).forEach((flight) => {
+                        select.appendChild(DOM.option({ value: flight.flight, selected: flight.flight === selected },
+                            `${flight.flight} - ${flight.airline} - ${new Date(flight.timestamp * 1000).toLocaleString()} - ${flight.status}`));
+                    });
+                });
+                if (error) display('Flight Insurance', 'Registered flights', [ { label: 'Flights', error: error } ]);
+            });
+        };
+        refreshFlights();
+        DOM.elid('refresh-flights').addEventListener('click', refreshFlights);
+
+        DOM.elid('buy-insurance').addEventListener('click', () => {
+            let flight = flights.value;
+            let passenger = passengers.value;
+            let update = transaction('Flight Insurance', `Insure ${passenger} on flight ${flight}`);
+
+            contract.buyInsurance(flight, DOM.elid('insurance-amount').value, passenger, (error, result) => {
+                update(error, result);
+                if (result.status !== 'confirmed') return;
+
+                contract.getInsurance(flight, passenger, (error, insurance) => {
+                    display('Flight Insurance', `Policy of ${passenger} on flight ${flight}`, [
+                        { label: 'Insured Value', error: error, value: insurance && `${insurance.value} ether` },
+                        { label: 'Credited', error: error, value: insurance && `${insurance.isPayed} (${insurance.balance} ether)` }
+                    ]);
+                });
+            });
+        })
+
+        // Passenger payouts
+        let refreshPayouts = () => {
+            let passenger = passengers.value;
+            let list = DOM.elid('payouts-list');
+
+            contract.getPayouts(passenger, (error, insurances) => {
+                list.innerHTML = '';
+                if (error) return list.appendChild(DOM.div({ className: 'row' }, String(error)));
+                if (insurances.length === 0) return list.appendChild(DOM.div({ className: 'row' }, 'No insurances bought yet'));
+
+                insurances.forEach((insurance) => {
+                    let row = list.appendChild(DOM.div({ className: 'row top-20' }));
+                    row.appendChild(DOM.div({ className: 'col-sm-3 field' }, insurance.flight));
+                    row.appendChild(DOM.div({ className: 'col-sm-6 field-value' },
+                        `${insurance.status}: insured ${insurance.value} ether, ${insurance.balance} ether to withdraw`));
+
+                    if (Number(insurance.balance) > 0) {
+                        let button = row.appendChild(DOM.button({ className: 'btn btn-primary' }, 'Withdraw'));
+                        button.addEventListener('click', () => {
+                            let update = transaction('My Payouts', `Withdraw ${insurance.balance} ether for flight ${insurance.flight}`);
+                            contract.withdraw(insurance.flight, passenger, (error, result) => {
+                                update(error, result);
+                                if (result.status === 'confirmed') refreshPayouts();
+                            });
+                        });
+                    }
+                });
+            });
+        };
+        DOM.elid('refresh-payouts').addEventListener('click', refreshPayouts);
+        passengers.addEventListener('change', refreshPayouts);
+
+
+        // Accounts and roles, as reported by the contracts
+        let showAccounts = () => {
+            contract.getRoles((error, roles) => {
+                if (error) return display('Accounts', 'Connected accounts', [ { label: 'Role', error: error } ]);
+
+                let current = roles.find((role) => role.account === contract.account);
+                DOM.elid('account-role').textContent = current ? `${current.role} ${current.account}` : 'No account connected';
+
+                accounts.innerHTML = '';
+                passengers.innerHTML = '';
+                roles.forEach((role) => {
+                    accounts.appendChild(DOM.option({ value: role.account, selected: role.account === contract.account }, `${role.role} ${role.account}`));
+                    passengers.appendChild(DOM.option({ value: role.account }, `${role.role} ${role.account}`));
+                });
+
+                // Preselect the first account that is not an airline for insurance
+                let passenger = roles.find((role) => role.role === ROLES.PASSENGER);
+                if (passenger) passengers.value = passenger.account;
+                refreshPayouts();
+            });
+        };
+        showAccounts();
+
+        contract.on('accountsChanged', showAccounts);
     
     });
     
@@ -37,14 +302,30 @@ function display(title, description, results) {
     let section = DOM.section();
     section.appendChild(DOM.h2(title));
     section.appendChild(DOM.h5(description));
-    results.map((result) => {
-        let row = section.appendChild(DOM.div({className:'row'}));
-        row.appendChild(DOM.div({className: 'col-sm-4 field'}, result.label));
-        row.appendChild(DOM.div({className: 'col-sm-8 field-value'}, result.error ? String(result.error) : String(result.value)));
-        section.appendChild(row);
-    })
+    results.map((result) => appendResult(section, result))
     displayDiv.append(section);
+    return section;
+
+}
+
+function appendResult(section, result) {
+    let row = section.appendChild(DOM.div({className:'row'}));
+    row.appendChild(DOM.div({className: 'col-sm-4 field'}, result.label));
+    row.appendChild(DOM.div({className: 'col-sm-8 field-value'}, result.error ? String(result.error) : String(result.value)));
+    section.appendChild(row);
+}
+
+// Displays a transaction and keeps its status up to date, returns the contract callback
+function transaction(title, description) {
+    let section = display(title, description, [ { label: 'Transaction', value: 'sending' } ]);
+    let value = section.querySelector('.field-value');
 
+    return (error, result) => {
+        let text = result.status;
+        if (result.hash) text += ` ${result.hash}`;
+        if (error) text += `: ${result.reason}`;
+        value.textContent = text;
+    };
 }
 
 
@@ -0,0 +1,213 @@
+// Generated by scripts/generate-types.js from the ABIs in build/contracts, do not edit.
+// Run `npm run types` after changing the contracts.
+import { AbiItem } from "web3-utils";
+import { CallOptions, Contract, ContractSendMethod, EventData, PastEventOptions } from "web3-eth-contract";
+
+export interface ParameterChange {
+    value: string;
+    executableAt: number;
+}
+
+export interface Airline {
+    name: string;
+    isRegistered: boolean;
+    isFunded: boolean;
+    balance: string;
+}
+
+export interface Flight {
+    isRegistered: boolean;
+    statusCode: number;
+    timestamp: number;
+    airline: string;
+    key: string;
+}
+
+export interface Insurance {
+    passenger: string;
+    value: string;
+    isPayed: boolean;
+    balance: string;
+}
+
+export interface Oracle {
+    isRegistered: boolean;
+    indexes: number[];
+}
+
+export interface OracleRequest {
+    requester: string;
+    isOpen: boolean;
+}
+
+export interface DecodedEvent<N, V> {
+    event: N;
+    blockNumber: number;
+    blockHash: string;
+    transactionHash: string;
+    logIndex: number;
+    values: V;
+}
+
+export interface FlightSuretyAppEvents {
+    AirlineRegistered: {
+        airlineAddress: string;
+    };
+    AirlineVoted: {
+        airlineAddress: string;
+        voterAddress: string;
+    };
+    AirlineFunded: {
+        airlineAddress: string;
+        airlineValue: string;
+    };
+    OperatingStatusApproved: {
+        mode: boolean;
+        approverAddress: string;
+        approvals: string;
+        required: string;
+    };
+    OperatingStatusChanged: {
+        mode: boolean;
+    };
+    ParameterVoted: {
+        parameter: string;
+        value: string;
+        voterAddress: string;
+        votes: string;
+        required: string;
+    };
+    ParameterChangeQueued: {
+        parameter: string;
+        value: string;
+        executableAt: number;
+    };
+    ParameterChanged: {
+        parameter: string;
+        previous: string;
+        value: string;
+    };
+    FlightRegistered: {
+        flightNumber: string;
+    };
+    InsuranceBuyed: {
+        clientAddress: string;
+        flightNumber: string;
+        clientAmount: string;
+    };
+    InsuranceWithdrawn: {
+        clientAddress: string;
+        flightNumber: string;
+        clientAmount: string;
+    };
+    FlightStatusInfo: {
+        airline: string;
+        flight: string;
+        timestamp: number;
+        status: number;
+    };
+    OracleReport: {
+        airline: string;
+        flight: string;
+        timestamp: number;
+        status: number;
+    };
+    OracleRequest: {
+        index: number;
+        airline: string;
+        flight: string;
+        timestamp: number;
+    };
+    OracleRegistered: {
+        oracle: string;
+        indexes: number[];
+    };
+}
+
+export type FlightSuretyAppEvent = {
+    [N in keyof FlightSuretyAppEvents]: DecodedEvent<N, FlightSuretyAppEvents[N]>;
+}[keyof FlightSuretyAppEvents];
+
+export interface FlightSuretyApp {
+    contract: Contract;
+    address: string;
+    REGISTRATION_FEE(options?: CallOptions): Promise<string>;
+    PARAMETER_TIMELOCK(options?: CallOptions): Promise<string>;
+    isOperational(options?: CallOptions): Promise<boolean>;
+    isContractOwner(_address: string, options?: CallOptions): Promise<boolean>;
+    setOperatingStatus(_mode: boolean): ContractSendMethod;
+    getOperatingStatusVotes(_mode: boolean, options?: CallOptions): Promise<string[]>;
+    getGovernanceConsensus(options?: CallOptions): Promise<string>;
+    getParameter(_name: string, options?: CallOptions): Promise<string>;
+    getParameterVotes(_name: string, _value: number | string, options?: CallOptions): Promise<string[]>;
+    getParameterChange(_name: string, options?: CallOptions): Promise<ParameterChange>;
+    getAirlineVotes(_airlineAddress: string, options?: CallOptions): Promise<string[]>;
+    getAirlinesRegistered(options?: CallOptions): Promise<string>;
+    getAirline(_airlineAddress: string, options?: CallOptions): Promise<Airline>;
+    getFlight(_flightNumber: string, options?: CallOptions): Promise<Flight>;
+    getInsurance(_flightNumber: string, _clientAddress: string, options?: CallOptions): Promise<Insurance>;
+    getFlightInsurances(_flightNumber: string, options?: CallOptions): Promise<string[]>;
+    voteForParameter(_name: string, _value: number | string): ContractSendMethod;
+    executeParameterChange(_name: string): ContractSendMethod;
+    importAirlineVotes(_airlineAddress: string, _voters: Array<string>): ContractSendMethod;
+    importParameterVotes(_name: string, _value: number | string, _voters: Array<string>): ContractSendMethod;
+    importParameterChange(_name: string, _value: number | string, _executableAt: number | string): ContractSendMethod;
+    importOperatingStatusVotes(_mode: boolean, _voters: Array<string>): ContractSendMethod;
+    finishImport(): ContractSendMethod;
+    registerAirline(_airlineAddress: string, _airlineName: string): ContractSendMethod;
+    fundAirline(): ContractSendMethod;
+    registerFlight(_flightNumber: string, _flightTime: number | string): ContractSendMethod;
+    buyInsurance(_flightNumber: string): ContractSendMethod;
+    withdraw(_flightNumber: string): ContractSendMethod;
+    fetchFlightStatus(airline: string, flight: string, timestamp: number | string): ContractSendMethod;
+    registerOracle(): ContractSendMethod;
+    importOracle(_oracleAddress: string, _indexes: Array<number | string>): ContractSendMethod;
+    getOraclesPerIndex(options?: CallOptions): Promise<string>;
+    getMyIndexes(options?: CallOptions): Promise<number[]>;
+    getOracle(_oracleAddress: string, options?: CallOptions): Promise<Oracle>;
+    getOracleRequest(_key: string, options?: CallOptions): Promise<OracleRequest>;
+    submitOracleResponse(index: number | string, airline: string, flight: string, timestamp: number | string, statusCode: number | string): ContractSendMethod;
+    decodeEvent(event: EventData): FlightSuretyAppEvent;
+    getPastEvents<N extends keyof FlightSuretyAppEvents>(name: N, options?: PastEventOptions): Promise<Array<DecodedEvent<N, FlightSuretyAppEvents[N]>>>;
+    getPastEvents(name: "allEvents", options?: PastEventOptions): Promise<FlightSuretyAppEvent[]>;
+}
+
+export interface FlightSuretyDataEvents {}
+
+export type FlightSuretyDataEvent = {
+    [N in keyof FlightSuretyDataEvents]: DecodedEvent<N, FlightSuretyDataEvents[N]>;
+}[keyof FlightSuretyDataEvents];
+
+export interface FlightSuretyData {
+    contract: Contract;
+    address: string;
+    isOperational(options?: CallOptions): Promise<boolean>;
+    setOperatingStatus(_mode: boolean): ContractSendMethod;
+    authorizeContract(_contractAddress: string): ContractSendMethod;
+    deauthorizeContract(_contractAddress: string): ContractSendMethod;
+    getAirlinesRegistered(options?: CallOptions): Promise<string>;
+    getAirlinesFunded(options?: CallOptions): Promise<string>;
+    isAirlineFunded(_airlineAddress: string, options?: CallOptions): Promise<boolean>;
+    getParameter(_name: string, _default: number | string, options?: CallOptions): Promise<string>;
+    setParameter(_name: string, _value: number | string): ContractSendMethod;
+    getAirline(_airlineAddress: string, options?: CallOptions): Promise<Airline>;
+    getFlightsRegistered(options?: CallOptions): Promise<string[]>;
+    getFlightInsurances(_flightKey: string, options?: CallOptions): Promise<string[]>;
+    getFlight(_flightNumber: string, options?: CallOptions): Promise<Flight>;
+    getInsurance(_insuranceKey: string, options?: CallOptions): Promise<Insurance>;
+    registerAirline(_airlineAddress: string, _airlineName: string): ContractSendMethod;
+    fundAirline(_airlineAddress: string, _airlineAmount: number | string): ContractSendMethod;
+    registerFlight(_flightNumber: string, _flightStatus: number | string, _flightTime: number | string, _airlineAddress: string): ContractSendMethod;
+    buyInsurance(_flightKey: string, _clientAddress: string, _clientAmount: number | string): ContractSendMethod;
+    creditInsurees(_flightKey: string, _insuranceValue: number | string): ContractSendMethod;
+    pay(_clientAddress: string, _flightKey: string): ContractSendMethod;
+    fund(): ContractSendMethod;
+    setFlightStatus(_flightKey: string, _statusCode: number | string): ContractSendMethod;
+    decodeEvent(event: EventData): FlightSuretyDataEvent;
+    getPastEvents<N extends keyof FlightSuretyDataEvents>(name: N, options?: PastEventOptions): Promise<Array<DecodedEvent<N, FlightSuretyDataEvents[N]>>>;
+    getPastEvents(name: "allEvents", options?: PastEventOptions): Promise<FlightSuretyDataEvent[]>;
+}
+
+export function decodeResult(abi: AbiItem, result: any): any;
+export function decodeEvent(abi: AbiItem, event: EventData): DecodedEvent<string, { [name: string]: any }>;
+export function wrapContract<T extends FlightSuretyApp | FlightSuretyData>(contract: Contract): T;
@@ -0,0 +1,175 @@
+/**
+ * @typedef {Object} Airline
+ * @property {string} name
+ * @property {boolean} isRegistered
+ * @property {boolean} isFunded
+ * @property {string} balance Wei
+ *
+ * @typedef {Object} Flight
+ * @property {boolean} isRegistered
+ * @property {number} statusCode One of STATUS_CODES
+ * @property {number} timestamp
+ * @property {string} airline
+ * @property {string} key See flightKey()
+ *
+ * @typedef {Object} Insurance
+ * @property {string} passenger The zero address when there is no insurance
+ * @property {string} value Wei paid by the passenger
+ * @property {boolean} isPayed Whether the passenger was credited
+ * @property {string} balance Wei left to withdraw
+ *
+ * @typedef {Object} Oracle
+ * @property {boolean} isRegistered
+ * @property {number[]} indexes
+ *
+ * @typedef {Object} OracleRequest
+ * @property {string} requester
+ * @property {boolean} isOpen Whether responses are still accepted
+ *
+ * @typedef {Object} ParameterChange
+ * @property {string} value The zero value when no change is queued
+ * @property {number} executableAt Unix seconds from which the change can be executed, 0 when none is queued
+ *
+ * @typedef {Object} DecodedEvent
+ * @property {string} event
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {Object} values Arguments by name, see decodeEvent()
+ */
+const { decodeFlightNumber } = require('./encoding');
+const { decodeParameterName } = require('./parameters');
+
+// Named results of the getters returning more than one value, in the order of
+// their ABI outputs. scripts/generate-types.js declares the same interfaces.
+const RESULTS = {
+    Airline: ['name', 'isRegistered', 'isFunded', 'balance'],
+    Flight: ['isRegistered', 'statusCode', 'timestamp', 'airline', 'key'],
+    Insurance: ['passenger', 'value', 'isPayed', 'balance'],
+    Oracle: ['isRegistered', 'indexes'],
+    OracleRequest: ['requester', 'isOpen'],
+    ParameterChange: ['value', 'executableAt']
+};
+
+// Result of each getter of FlightSuretyApp and FlightSuretyData
+const OUTPUTS = {
+    getAirline: 'Airline',
+    getFlight: 'Flight',
+    getInsurance: 'Insurance',
+    getOracle: 'Oracle',
+    getOracleRequest: 'OracleRequest',
+    getParameterChange: 'ParameterChange'
+};
+
+// uint256 values that fit a number, the others are wei amounts kept as decimal strings
+const NUMBERS = ['timestamp', 'executableAt'];
+
+function isCall(abi) {
+    return abi.constant || abi.stateMutability === 'view' || abi.stateMutability === 'pure';
+}
+
+// Event arguments are named without their leading underscore, e.g. _flightNumber
+function valueName(input) {
+    return input.name.replace(/^_/, '');
+}
+
+function decodeValue(output, name, value) {
+    if (/^uint8(\[\d*\])?$/.test(output.type)) return Array.isArray(value) ? value.map(Number) : Number(value);
+    if (/^uint/.test(output.type)) return NUMBERS.includes(name) ? Number(value) : String(value);
+    if (output.type === 'bytes32' && name === 'flightNumber') return decodeFlightNumber(value);
+    if (output.type === 'bytes32' && name === 'parameter') return decodeParameterName(value);
+    return value;
+}
+
+/**
+ * Turns the result of a call into a named object (see RESULTS), getters with a
+ * single output return the value itself. Integers are decoded the same way for
+ * web3 and truffle results: uint8 as numbers, timestamps as numbers and other
+ * uint256 as decimal strings.
+ */
+function decodeResult(abi, result) {
+    if (abi.outputs.length === 1) return decodeValue(abi.outputs[0], null, result);
+
+    let names = RESULTS[OUTPUTS[abi.name]] || abi.outputs.map((output, index) => output.name || String(index));
+    let decoded = {};
+
+    abi.outputs.forEach((output, index) => {
+        decoded[names[index]] = decodeValue(output, names[index], result[index]);
+    });
+
+    return decoded;
+}
+
+/**
+ * Names the arguments of a web3 event like the results of the getters, and
+ * decodes bytes32 flight numbers and parameter names to text
+ */
+function decodeEvent(abi, event) {
+    let values = {};
+
+    abi.inputs.forEach((input) => {
+        let name = valueName(input);
+        values[name] = decodeValue(input, name, event.returnValues[input.name]);
+    });
+
+    return {
+        event: abi.name,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+        values: values
+    };
+}
+
+/**
+ * Wraps a web3 FlightSuretyApp or FlightSuretyData contract with a function per
+ * ABI method taking the same arguments. Getters take the call options last, e.g.
+ * { from }, and resolve to their decoded result. Transactions return the web3
+ * method so callers send it their own way (gas, queue, progress callbacks).
+ * Events of the contract are decoded by decodeEvent() and getPastEvents().
+ */
+function wrapContract(contract) {
+    let abis = contract.options.jsonInterface;
+    let events = {};
+    let wrapper = { contract: contract, address: contract.options.address };
+
+    abis.filter((abi) => abi.type === 'event').forEach((abi) => {
+        events[abi.name] = abi;
+    });
+
+    abis.filter((abi) => abi.type === 'function').forEach((abi) => {
+        wrapper[abi.name] = (...args) => {
+            let method = contract.methods[abi.name](...args.slice(0, abi.inputs.length));
+
+            if (!isCall(abi)) return method;
+
+            return method
+                .call(args[abi.inputs.length] || {})
+                .then((result) => decodeResult(abi, result));
+        };
+    });
+
+    wrapper.decodeEvent = (event) => {
+        if (!events[event.event]) throw new Error(`${event.event || 'Unknown event'} is not an event of the contract`);
+        return decodeEvent(events[event.event], event);
+    };
+
+    // Logs web3 cannot match to an event of the ABI are left out
+    wrapper.getPastEvents = (name, options = {}) => contract
+        .getPastEvents(name, options)
+        .then((found) => found.filter((event) => events[event.event]).map(wrapper.decodeEvent));
+
+    return wrapper;
+}
+
+module.exports = {
+    RESULTS,
+    OUTPUTS,
+    NUMBERS,
+    valueName,
+    decodeResult,
+    decodeEvent,
+    wrapContract
+};
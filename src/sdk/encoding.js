@@ -0,0 +1,25 @@
+// Web3.utils rather than web3-utils, whose sources webpack 4 cannot parse in the dapp
+const { utils } = require('web3');
+
+/**
+ * Encodes a flight number as the right padded bytes32 stored by the contracts,
+ * the same value FlightSuretyApp.stringToBytes32 builds from a string
+ */
+function encodeFlightNumber(flightNumber) {
+    let hex = utils.utf8ToHex(String(flightNumber));
+
+    if (hex.length > 66) {
+        throw new RangeError(`Flight number ${flightNumber} does not fit in 32 bytes`);
+    }
+
+    return utils.padRight(hex, 64);
+}
+
+function decodeFlightNumber(bytes32) {
+    return utils.hexToUtf8(bytes32);
+}
+
+module.exports = {
+    encodeFlightNumber,
+    decodeFlightNumber
+};
@@ -0,0 +1,169 @@
+// Declarations of src/sdk, those of the contract wrappers are generated in contracts.d.ts
+import Web3 from 'web3';
+import { AbiItem } from 'web3-utils';
+import { ContractSendMethod } from 'web3-eth-contract';
+import { FlightSuretyApp } from './contracts';
+
+export * from './contracts';
+
+export function flightKey(airline: string, flightNumber: string, timestamp: number | string): string;
+export function insuranceKey(passenger: string, flightKey: string): string;
+export function oracleRequestKey(index: number | string, airline: string, flight: string, timestamp: number | string): string;
+
+/**
+ * Throws a RangeError when the flight number does not fit in 32 bytes
+ */
+export function encodeFlightNumber(flightNumber: string): string;
+export function decodeFlightNumber(bytes32: string): string;
+
+export const STATUS_CODES: {
+    UNKNOWN: 0;
+    ON_TIME: 10;
+    LATE_AIRLINE: 20;
+    LATE_WEATHER: 30;
+    LATE_TECHNICAL: 40;
+    LATE_OTHER: 50;
+};
+
+export type StatusName = keyof typeof STATUS_CODES;
+export type StatusCode = typeof STATUS_CODES[StatusName];
+
+export const STATUS_NAMES: { [code: number]: StatusName };
+export const STATUS_LABELS: { [code: number]: string };
+
+/**
+ * Throws when the value is neither a status code nor the name of one
+ */
+export function toStatusCode(value: StatusName | StatusCode | number | string): StatusCode;
+
+export type ParameterName =
+    | 'AIRLINE_CONSENSUS'
+    | 'AIRLINE_CONSENSUS_VOTES'
+    | 'AIRLINE_MINIMUM_FEE'
+    | 'FLIGHT_MAX_INSURANCE'
+    | 'CLIENT_INSURANCE_ADDITION'
+    | 'MIN_RESPONSES';
+
+export const PARAMETERS: {
+    [name in ParameterName]: { unit: 'airlines' | 'percent' | 'wei' | 'tenths' | 'oracles'; max?: number };
+};
+export const PARAMETER_NAMES: ParameterName[];
+
+/**
+ * Throws when the name is not one of PARAMETER_NAMES
+ */
+export function encodeParameterName(name: ParameterName): string;
+export function decodeParameterName(bytes32: string): string;
+
+/**
+ * Ether amounts for the wei parameters, integers for the others. Returns the
+ * stored integer as a decimal string and throws on anything else.
+ */
+export function parseParameterValue(name: ParameterName, value: string | number): string;
+export function formatParameterValue(name: ParameterName, value: string | number): string;
+
+/**
+ * A row of a CSV or JSON schedule, `line` is its CSV line or JSON position
+ */
+export interface ScheduleRow {
+    line: number;
+    flight: string;
+    time: string;
+    airline: string;
+}
+
+export interface ScheduleFlight {
+    line: number;
+    flight: string;
+    flightNumber: string;
+    airline: string;
+    timestamp: number;
+}
+
+export interface ScheduleError {
+    line: number;
+    flight: string;
+    error: string;
+}
+
+export interface ScheduleDiffEntry extends ScheduleFlight {
+    action: 'register' | 'registered' | 'conflict';
+    reason: string | null;
+}
+
+export interface ScheduleCheckpoint {
+    version: number;
+    schedule: string;
+    registered: { [flightNumber: string]: string };
+}
+
+export interface ScheduleProgress {
+    total: number;
+    resumed: number;
+    registered: number;
+    failed: ScheduleError[];
+    batch: number;
+    batches: number;
+}
+
+/**
+ * Throws when the JSON is invalid or the CSV header misses a column
+ */
+export function parseSchedule(text: string): ScheduleRow[];
+export function validateSchedule(rows: ScheduleRow[], now?: number): { flights: ScheduleFlight[]; errors: ScheduleError[] };
+export function diffSchedule(
+    app: FlightSuretyApp,
+    flights: ScheduleFlight[],
+    options?: { from?: string; signers?: string[] }
+): Promise<ScheduleDiffEntry[]>;
+export function scheduleHash(flights: ScheduleFlight[]): string;
+export function createCheckpoint(flights: ScheduleFlight[]): ScheduleCheckpoint;
+
+/**
+ * Throws when the checkpoint belongs to another schedule
+ */
+export function registerSchedule(
+    app: FlightSuretyApp,
+    diff: ScheduleDiffEntry[],
+    options: {
+        // Resolves with the receipt, web3 declares ContractSendMethod.send() as resolving to a Contract
+        send(method: ContractSendMethod, flight: ScheduleDiffEntry): Promise<any>;
+        batchSize?: number;
+        checkpoint?: ScheduleCheckpoint;
+        onBatch?(progress: ScheduleProgress, checkpoint: ScheduleCheckpoint): void | Promise<void>;
+    }
+): Promise<ScheduleProgress>;
+
+export const DEFAULT_NETWORK: 'development';
+export const MANIFEST_VERSION: number;
+
+/**
+ * The deployment manifest written to config.json by the migration, see migrations/lib/deployment.js
+ */
+export interface Deployment {
+    version: number;
+    network: string;
+    chainId: number;
+    url: string;
+    wsUrl: string;
+    dataAddress: string;
+    appAddress: string;
+    deploymentBlock: number;
+    firstAirline: string;
+    contracts: { [name: string]: { address: string; transactionHash: string; blockNumber: number; abiHash: string } };
+    [field: string]: any;
+}
+
+export class NetworkError extends Error {}
+
+/**
+ * Deployment of a config.json by truffle network name or chain id, null when it was never migrated
+ */
+export function selectNetwork(config: { [network: string]: Deployment }, network?: string | number): Deployment | null;
+
+/**
+ * Rejects with a NetworkError when the node is on another chain, the deployment
+ * is stale or one of the artifacts, by contract name, does not match its ABI hash
+ */
+export function checkNetwork(web3: Web3, config: Deployment, artifacts?: { [name: string]: { abi: AbiItem[] } }): Promise<void>;
+export function revertReason(error: any): string;
@@ -0,0 +1,66 @@
+/**
+ * flightsurety-sdk: what the dapp, the server, the CLI and the tests need to agree
+ * on with the contracts. Plain CommonJS so it loads in node, truffle and webpack,
+ * with TypeScript declarations in index.d.ts.
+ */
+const { flightKey, insuranceKey, oracleRequestKey } = require('./keys');
+const { encodeFlightNumber, decodeFlightNumber } = require('./encoding');
+const { STATUS_CODES, STATUS_NAMES, STATUS_LABELS, toStatusCode } = require('./status');
+const {
+    PARAMETERS,
+    PARAMETER_NAMES,
+    encodeParameterName,
+    decodeParameterName,
+    parseParameterValue,
+    formatParameterValue
+} = require('./parameters');
+const {
+    parseSchedule,
+    validateSchedule,
+    diffSchedule,
+    scheduleHash,
+    createCheckpoint,
+    registerSchedule
+} = require('./schedule');
+const { decodeResult, decodeEvent, wrapContract } = require('./contracts');
+const {
+    DEFAULT_NETWORK,
+    MANIFEST_VERSION,
+    NetworkError,
+    selectNetwork,
+    checkNetwork,
+    revertReason
+} = require('./network');
+
+module.exports = {
+    flightKey,
+    insuranceKey,
+    oracleRequestKey,
+    encodeFlightNumber,
+    decodeFlightNumber,
+    STATUS_CODES,
+    STATUS_NAMES,
+    STATUS_LABELS,
+    toStatusCode,
+    PARAMETERS,
+    PARAMETER_NAMES,
+    encodeParameterName,
+    decodeParameterName,
+    parseParameterValue,
+    formatParameterValue,
+    parseSchedule,
+    validateSchedule,
+    diffSchedule,
+    scheduleHash,
+    createCheckpoint,
+    registerSchedule,
+    decodeResult,
+    decodeEvent,
+    wrapContract,
+    DEFAULT_NETWORK,
+    MANIFEST_VERSION,
+    NetworkError,
+    selectNetwork,
+    checkNetwork,
+    revertReason
+};
@@ -0,0 +1,45 @@
+const { utils } = require('web3');
+const { encodeFlightNumber } = require('./encoding');
+
+/**
+ * Key of a flight in FlightSuretyData,
+ * keccak256(abi.encodePacked(address airline, bytes32 flightNumber, uint256 timestamp))
+ */
+function flightKey(airline, flightNumber, timestamp) {
+    return utils.soliditySha3(
+        { t: 'address', v: airline },
+        { t: 'bytes32', v: encodeFlightNumber(flightNumber) },
+        { t: 'uint256', v: timestamp }
+    );
+}
+
+/**
+ * Key of the insurance a passenger bought for a flight,
+ * keccak256(abi.encodePacked(address passenger, bytes32 flightKey, uint256 0))
+ */
+function insuranceKey(passenger, flight) {
+    return utils.soliditySha3(
+        { t: 'address', v: passenger },
+        { t: 'bytes32', v: flight },
+        { t: 'uint256', v: 0 }
+    );
+}
+
+/**
+ * Key of an oracle request in FlightSuretyApp,
+ * keccak256(abi.encodePacked(uint8 index, address airline, string flight, uint256 timestamp))
+ */
+function oracleRequestKey(index, airline, flight, timestamp) {
+    return utils.soliditySha3(
+        { t: 'uint8', v: index },
+        { t: 'address', v: airline },
+        { t: 'string', v: flight },
+        { t: 'uint256', v: timestamp }
+    );
+}
+
+module.exports = {
+    flightKey,
+    insuranceKey,
+    oracleRequestKey
+};
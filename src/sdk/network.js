@@ -0,0 +1,69 @@
+// Name of the ganache network in truffle-config.js
+const DEFAULT_NETWORK = 'development';
+
+// Version of the deployment manifest written by migrations/lib/deployment.js,
+// bumped whenever the shape of the manifest changes
+const MANIFEST_VERSION = 1;
+
+class NetworkError extends Error {}
+
+/**
+ * Picks one of the deployments written to config.json by the migration, either
+ * by truffle network name or by chain id. Returns null when the network was
+ * never migrated.
+ */
+function selectNetwork(config, network = DEFAULT_NETWORK) {
+    if (config[network]) return config[network];
+
+    return Object.keys(config)
+        .map((name) => config[name])
+        .find((deployment) => String(deployment.chainId) === String(network)) || null;
+}
+
+/**
+ * Throws a NetworkError when the node is on another chain than the deployment,
+ * when the deployment is stale (e.g. ganache was restarted without migrating)
+ * or when the given build artifacts, by contract name, were compiled after it
+ */
+async function checkNetwork(web3, config, artifacts = {}) {
+    if (!config.appAddress) {
+        throw new NetworkError(`Network ${config.network} is not in config.json, run truffle migrate --network ${config.network}`);
+    }
+    if (config.version !== MANIFEST_VERSION) {
+        throw new NetworkError(`The ${config.network} deployment has manifest version ${config.version}, run truffle migrate --reset --network ${config.network}`);
+    }
+
+    let chainId = Number(await web3.eth.getChainId());
+
+    if (chainId !== Number(config.chainId)) {
+        throw new NetworkError(`Connected to chain ${chainId} but the ${config.network} deployment is on chain ${config.chainId}`);
+    }
+    if (await web3.eth.getCode(config.appAddress) === '0x') {
+        throw new NetworkError(`No contract at ${config.appAddress} on chain ${chainId}, run truffle migrate --network ${config.network}`);
+    }
+
+    Object.keys(artifacts).forEach((name) => {
+        if (web3.utils.sha3(JSON.stringify(artifacts[name].abi)) !== config.contracts[name].abiHash) {
+            throw new NetworkError(`build/contracts/${name}.json does not match the ${config.network} deployment, run truffle migrate --network ${config.network}`);
+        }
+    });
+}
+
+/**
+ * Extracts the require() message from a failed transaction or call
+ */
+function revertReason(error) {
+    let message = String((error && error.message) || error);
+    let match = message.match(/revert\s*(.*)$/m);
+
+    return match && match[1] ? match[1].trim() : message;
+}
+
+module.exports = {
+    DEFAULT_NETWORK,
+    MANIFEST_VERSION,
+    NetworkError,
+    selectNetwork,
+    checkNetwork,
+    revertReason
+};
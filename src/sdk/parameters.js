@@ -0,0 +1,69 @@
+const { utils } = require('web3');
+
+// Parameters of FlightSuretyApp changed by a vote of the funded airlines, with the unit of
+// their values and the fixed maximum FlightSuretyApp accepts. MIN_RESPONSES is bounded by
+// getOraclesPerIndex() instead.
+const PARAMETERS = {
+    AIRLINE_CONSENSUS: { unit: 'airlines' }, // registered before new airlines need votes
+    AIRLINE_CONSENSUS_VOTES: { unit: 'percent', max: 100 },
+    AIRLINE_MINIMUM_FEE: { unit: 'wei' },
+    FLIGHT_MAX_INSURANCE: { unit: 'wei' },
+    CLIENT_INSURANCE_ADDITION: { unit: 'tenths', max: 10 }, // of the insured value, credited on top of it
+    MIN_RESPONSES: { unit: 'oracles' }
+};
+
+const PARAMETER_NAMES = Object.keys(PARAMETERS);
+
+/**
+ * Encodes the name of a parameter as the bytes32 taken by getParameter(),
+ * voteForParameter() and the other parameter functions of FlightSuretyApp
+ */
+function encodeParameterName(name) {
+    if (!PARAMETERS[name]) {
+        throw new Error(`Unknown parameter: ${name}, one of ${PARAMETER_NAMES.join(', ')}`);
+    }
+
+    return utils.padRight(utils.utf8ToHex(name), 64);
+}
+
+function decodeParameterName(bytes32) {
+    return utils.hexToUtf8(bytes32);
+}
+
+/**
+ * Reads a value typed by a user, in ether for the wei parameters, and returns
+ * the integer FlightSuretyApp stores as a decimal string
+ */
+function parseParameterValue(name, value) {
+    let text = String(value).trim();
+
+    if (!PARAMETERS[name]) throw new Error(`Unknown parameter: ${name}`);
+    if (PARAMETERS[name].unit === 'wei') {
+        if (!/^\d+(\.\d+)?$/.test(text)) throw new Error(`Invalid ether amount for ${name}: ${value}`);
+        return utils.toWei(text, 'ether');
+    }
+    if (!/^\d+$/.test(text)) throw new Error(`Invalid value for ${name}: ${value}`);
+    if (PARAMETERS[name].max !== undefined && Number(text) > PARAMETERS[name].max) {
+        throw new Error(`${name} cannot exceed ${PARAMETERS[name].max}: ${value}`);
+    }
+
+    return text;
+}
+
+// e.g. '10 ether' for AIRLINE_MINIMUM_FEE, '50 percent' for AIRLINE_CONSENSUS_VOTES
+function formatParameterValue(name, value) {
+    let unit = PARAMETERS[name] ? PARAMETERS[name].unit : '';
+
+    return unit === 'wei'
+        ? `${utils.fromWei(String(value), 'ether')} ether`
+        : `${value} ${unit}`.trim();
+}
+
+module.exports = {
+    PARAMETERS,
+    PARAMETER_NAMES,
+    encodeParameterName,
+    decodeParameterName,
+    parseParameterValue,
+    formatParameterValue
+};
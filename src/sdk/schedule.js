@@ -0,0 +1,250 @@
+const { utils } = require('web3');
+const { encodeFlightNumber } = require('./encoding');
+
+// Version of the checkpoint files of registerSchedule()
+const CHECKPOINT_VERSION = 1;
+
+const COLUMNS = ['flight', 'time', 'airline'];
+
+function sameAddress(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+// Splits a CSV line on commas outside of double quotes, "" is a quote inside quotes
+function splitCsvLine(line) {
+    let cells = [''];
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        let char = line[i];
+
+        if (char === '"' && quoted && line[i + 1] === '"') {
+            cells[cells.length - 1] += char;
+            i++;
+        } else if (char === '"') {
+            quoted = !quoted;
+        } else if (char === ',' && !quoted) {
+            cells.push('');
+        } else {
+            cells[cells.length - 1] += char;
+        }
+    }
+
+    return cells.map((cell) => cell.trim());
+}
+
+function parseCsv(text) {
+    let lines = text.split(/\r?\n/)
+        .map((content, index) => ({ line: index + 1, content: content }))
+        .filter((line) => line.content.trim() !== '' && !line.content.trim().startsWith('#'));
+
+    if (lines.length === 0) return [];
+
+    let header = splitCsvLine(lines[0].content).map((name) => name.toLowerCase());
+    let missing = COLUMNS.filter((name) => !header.includes(name));
+    if (missing.length > 0) throw new Error(`The CSV header misses the ${missing.join(', ')} columns`);
+
+    return lines.slice(1).map((line) => {
+        let cells = splitCsvLine(line.content);
+        let row = { line: line.line };
+
+        COLUMNS.forEach((name) => {
+            row[name] = cells[header.indexOf(name)] || '';
+        });
+
+        return row;
+    });
+}
+
+/**
+ * Reads a flight schedule, either JSON (an array of { flight, time, airline } or
+ * a fixture with a flights array) or CSV with a flight,time,airline header. Rows
+ * keep their line number in the CSV, or their position in the JSON array.
+ */
+function parseSchedule(text) {
+    let content = String(text).trim();
+
+    if (!content.startsWith('[') && !content.startsWith('{')) return parseCsv(content);
+
+    let json;
+    try {
+        json = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid JSON schedule: ${error.message}`);
+    }
+
+    let flights = Array.isArray(json) ? json : json.flights;
+    if (!Array.isArray(flights)) throw new Error('A JSON schedule is an array of flights or has a flights array');
+
+    return flights.map((flight, index) => ({
+        line: index + 1,
+        flight: flight && flight.flight !== undefined ? String(flight.flight).trim() : '',
+        time: flight && flight.time !== undefined ? String(flight.time).trim() : '',
+        airline: flight && flight.airline !== undefined ? String(flight.airline).trim() : ''
+    }));
+}
+
+/**
+ * Checks the rows of parseSchedule() before anything is sent: the flight number
+ * fits in bytes32, the time is ISO 8601 (or unix seconds) after `now` and the
+ * airline is an address. Flight numbers are unique across airlines and times, as
+ * enforced by FlightSuretyApp.requireUnregisteredFlight, so a number appearing
+ * twice is an error. Returns the valid flights and the errors by line.
+ */
+function validateSchedule(rows, now = Math.floor(Date.now() / 1000)) {
+    let flights = [];
+    let errors = [];
+    let lines = {};
+
+    rows.forEach((row) => {
+        let fail = (error) => errors.push({ line: row.line, flight: row.flight, error: error });
+        let flightNumber;
+
+        if (!row.flight) return fail('Missing flight number');
+        try {
+            flightNumber = encodeFlightNumber(row.flight);
+        } catch (error) {
+            return fail(error.message);
+        }
+
+        if (lines[flightNumber]) return fail(`Duplicate of line ${lines[flightNumber]}`);
+        lines[flightNumber] = row.line;
+
+        let timestamp = /^\d+$/.test(row.time) ? Number(row.time) : Math.floor(Date.parse(row.time) / 1000);
+        if (!row.time || isNaN(timestamp)) return fail(`Invalid time: ${row.time}`);
+        if (timestamp <= now) return fail(`Departure ${new Date(timestamp * 1000).toISOString()} is not in the future`);
+        if (!utils.isAddress(row.airline)) return fail(`Invalid airline address: ${row.airline}`);
+
+        flights.push({
+            line: row.line,
+            flight: row.flight,
+            flightNumber: flightNumber,
+            airline: utils.toChecksumAddress(row.airline),
+            timestamp: timestamp
+        });
+    });
+
+    return { flights: flights, errors: errors };
+}
+
+/**
+ * Compares validated flights with the contracts, through the sdk wrapper of
+ * FlightSuretyApp. Each flight gets an action: 'register', 'registered' when the
+ * same flight is already registered (skipped) or 'conflict' with a reason when
+ * registerFlight() would revert. `signers` optionally lists the accounts that
+ * can send the transactions of the airlines.
+ */
+async function diffSchedule(app, flights, options = {}) {
+    let callOptions = { from: options.from };
+    let airlines = {};
+    let diff = [];
+
+    for (let flight of flights) {
+        let registered = await app.getFlight(flight.flightNumber, callOptions);
+        let key = flight.airline.toLowerCase();
+
+        if (airlines[key] === undefined) {
+            airlines[key] = (await app.getAirline(flight.airline, callOptions)).isRegistered;
+        }
+
+        let entry = Object.assign({ action: 'register', reason: null }, flight);
+
+        if (registered.isRegistered) {
+            let same = sameAddress(registered.airline, flight.airline) && registered.timestamp === flight.timestamp;
+
+            entry.action = same ? 'registered' : 'conflict';
+            entry.reason = same ? null : `Flight is already registered by ${registered.airline} at ${new Date(registered.timestamp * 1000).toISOString()}`;
+        } else if (!airlines[key]) {
+            entry.action = 'conflict';
+            entry.reason = `Airline ${flight.airline} is not registered`;
+        } else if (options.signers && !options.signers.some((signer) => sameAddress(signer, flight.airline))) {
+            entry.action = 'conflict';
+            entry.reason = `Cannot sign for airline ${flight.airline}`;
+        }
+
+        diff.push(entry);
+    }
+
+    return diff;
+}
+
+/**
+ * Identifies a schedule in checkpoints, whatever the order and format of its rows
+ */
+function scheduleHash(flights) {
+    let entries = flights
+        .map((flight) => `${flight.flightNumber}:${flight.airline.toLowerCase()}:${flight.timestamp}`)
+        .sort();
+
+    return utils.sha3(entries.join('\n'));
+}
+
+// Takes the flights of validateSchedule() or their diffSchedule() entries
+function createCheckpoint(flights) {
+    return { version: CHECKPOINT_VERSION, schedule: scheduleHash(flights), registered: {} };
+}
+
+/**
+ * Sends registerFlight() for the flights of diffSchedule() to register, `batchSize`
+ * at a time. Within a batch the airlines send side by side and each airline sends
+ * its flights one after the other. Transactions are sent by `options.send(method,
+ * flight)`, which resolves with the receipt. The checkpoint records the registered
+ * flights and is handed to `options.onBatch(progress, checkpoint)` after each batch
+ * to be saved, so an interrupted import resumes where it stopped. Failed flights
+ * are reported and left out of the checkpoint, to be retried by the next run.
+ */
+async function registerSchedule(app, diff, options) {
+    let checkpoint = options.checkpoint || createCheckpoint(diff);
+    let batchSize = options.batchSize || 10;
+
+    if (checkpoint.version !== CHECKPOINT_VERSION || checkpoint.schedule !== scheduleHash(diff)) {
+        throw new Error('The checkpoint belongs to another schedule, remove it to start over');
+    }
+
+    let pending = diff.filter((flight) => flight.action === 'register' && !checkpoint.registered[flight.flightNumber]);
+    let batches = Math.ceil(pending.length / batchSize);
+    let progress = {
+        total: pending.length,
+        resumed: Object.keys(checkpoint.registered).length,
+        registered: 0,
+        failed: [],
+        batch: 0,
+        batches: batches
+    };
+
+    for (let batch = 0; batch < batches; batch++) {
+        let airlines = {};
+
+        pending.slice(batch * batchSize, (batch + 1) * batchSize).forEach((flight) => {
+            let key = flight.airline.toLowerCase();
+            airlines[key] = (airlines[key] || []).concat(flight);
+        });
+
+        await Promise.all(Object.keys(airlines).map(async (key) => {
+            for (let flight of airlines[key]) {
+                try {
+                    let receipt = await options.send(app.registerFlight(flight.flightNumber, flight.timestamp), flight);
+
+                    checkpoint.registered[flight.flightNumber] = receipt.transactionHash;
+                    progress.registered++;
+                } catch (error) {
+                    progress.failed.push({ line: flight.line, flight: flight.flight, error: error.message });
+                }
+            }
+        }));
+
+        progress.batch = batch + 1;
+        if (options.onBatch) await options.onBatch(progress, checkpoint);
+    }
+
+    return progress;
+}
+
+module.exports = {
+    parseSchedule,
+    validateSchedule,
+    diffSchedule,
+    scheduleHash,
+    createCheckpoint,
+    registerSchedule
+};
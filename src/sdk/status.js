@@ -0,0 +1,45 @@
+// Flight status codes, mirroring the STATUS_CODE_* constants of FlightSuretyApp
+const STATUS_CODES = {
+    UNKNOWN: 0,
+    ON_TIME: 10,
+    LATE_AIRLINE: 20,
+    LATE_WEATHER: 30,
+    LATE_TECHNICAL: 40,
+    LATE_OTHER: 50
+};
+
+// Names by code, e.g. 20 => 'LATE_AIRLINE'
+const STATUS_NAMES = {};
+Object.keys(STATUS_CODES).forEach((name) => {
+    STATUS_NAMES[STATUS_CODES[name]] = name;
+});
+
+// Shown to passengers and airlines by the dapp and the CLI
+const STATUS_LABELS = {
+    0: 'Unknown',
+    10: 'On time',
+    20: 'Late (airline)',
+    30: 'Late (weather)',
+    40: 'Late (technical)',
+    50: 'Late (other)'
+};
+
+/**
+ * Accepts a status code or its name, e.g. 20 or 'LATE_AIRLINE'
+ */
+function toStatusCode(value) {
+    let code = STATUS_CODES[value] !== undefined ? STATUS_CODES[value] : Number(value);
+
+    if (STATUS_NAMES[code] === undefined) {
+        throw new Error(`Unknown flight status code: ${value}`);
+    }
+
+    return code;
+}
+
+module.exports = {
+    STATUS_CODES,
+    STATUS_NAMES,
+    STATUS_LABELS,
+    toStatusCode
+};
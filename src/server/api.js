@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import express from 'express';
+import Web3 from 'web3';
+import { parseSchedule } from '../sdk';
+import { INDEXED_EVENTS } from './indexer';
+import { STREAM_EVENTS } from './stream';
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Sends the resolved value as JSON, null as a 404 and errors as 4xx/5xx
+function handle(action, status = 200) {
+    return (req, res) => {
+        Promise.resolve()
+            .then(() => action(req))
+            .then((result) => {
+                if (result === null) throw new HttpError(404, 'Not found');
+                res.status(status).send(result);
+            })
+            .catch((error) => {
+                res.status(error.status || 500).send({ error: error.message });
+            });
+    };
+}
+
+/**
+ * @dev Endpoints that make the server sign transactions or send requests, and the
+ *      webhooks holding the passengers and URLs of their owners, require the
+ *      API_TOKEN of the server as a bearer token and are disabled without it
+ */
+function requireToken(token) {
+    let expected = crypto.createHash('sha256').update(String(token)).digest();
+
+    return (req, res, next) => {
+        if (!token) return res.status(403).send({ error: 'Set API_TOKEN to enable this endpoint' });
+
+        let match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+        let given = crypto.createHash('sha256').update(match ? match[1] : '').digest();
+
+        if (!match || !crypto.timingSafeEqual(given, expected)) return res.status(401).send({ error: 'Invalid or missing API token' });
+        next();
+    };
+}
+
+function requireAddress(address) {
+    if (!Web3.utils.isAddress(address)) throw new HttpError(400, `Invalid address: ${address}`);
+    return address;
+}
+
+function requireFlightKey(key) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(key) && Buffer.byteLength(key, 'utf8') > 32) {
+        throw new HttpError(400, `Flight number does not fit in bytes32: ${key}`);
+    }
+    return key;
+}
+
+function requireEvents(names, known = INDEXED_EVENTS) {
+    let events = names ? [].concat(names) : known;
+    let unknown = events.filter((name) => !known.includes(name));
+
+    if (unknown.length > 0) throw new HttpError(400, `Unknown events: ${unknown.join(', ')}`);
+    return events;
+}
+
+function requireBlock(number) {
+    if (!/^\d+$/.test(number)) throw new HttpError(400, `Invalid block number: ${number}`);
+    return Number(number);
+}
+
+// Body of POST /api/webhooks, the filters are optional
+function getWebhookOptions(webhooks, body) {
+    let url;
+
+    try {
+        url = new URL(body.url);
+    } catch (error) {
+        throw new HttpError(400, `Invalid url: ${body.url}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new HttpError(400, `Invalid url: ${body.url}`);
+
+    let refused = webhooks.checkUrl(url.href);
+    if (refused) throw new HttpError(400, `Invalid url: ${refused}`);
+    if (typeof body.secret !== 'string' || body.secret.length === 0) throw new HttpError(400, 'A secret is required to sign the deliveries');
+
+    return {
+        url: url.href,
+        secret: body.secret,
+        passenger: body.passenger && requireAddress(body.passenger),
+        flight: body.flight && requireFlightKey(body.flight)
+    };
+}
+
+// Largest schedule accepted by POST /api/imports, in bytes
+const SCHEDULE_LIMIT = 1024 * 1024;
+
+// Reads the body as text whatever its type, a CSV or JSON schedule
+function readText(req, res, next) {
+    let chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size <= SCHEDULE_LIMIT) chunks.push(chunk);
+    });
+    req.on('end', () => {
+        if (size > SCHEDULE_LIMIT) return res.status(413).send({ error: `Schedules are limited to ${SCHEDULE_LIMIT} bytes` });
+
+        req.body = Buffer.concat(chunks).toString('utf-8');
+        next();
+    });
+}
+
+function requireSchedule(text) {
+    let rows;
+
+    try {
+        rows = parseSchedule(text);
+    } catch (error) {
+        throw new HttpError(400, error.message);
+    }
+    if (rows.length === 0) throw new HttpError(400, 'The schedule has no flights');
+
+    return rows;
+}
+
+// Imports are only started for schedules without validation errors, see POST /api/imports/preview
+function requireValidSchedule(schedule) {
+    if (schedule.errors.length > 0) {
+        let errors = schedule.errors.map((error) => `line ${error.line} (${error.flight}): ${error.error}`);
+        throw new HttpError(400, `Invalid schedule, ${errors.join('; ')}`);
+    }
+    return schedule;
+}
+
+// Query of /api/stream, every filter is optional
+function getStreamFilter(req) {
+    let query = req.query;
+
+    return {
+        events: requireEvents(query.event, STREAM_EVENTS),
+        airline: query.airline && requireAddress(query.airline),
+        flight: query.flight && requireFlightKey(query.flight),
+        passenger: query.passenger && requireAddress(query.passenger),
+        fromBlock: query.fromBlock !== undefined ? requireBlock(query.fromBlock) : undefined,
+        lastEventId: req.get('Last-Event-ID')
+    };
+}
+
+export default function createApi(services, options = {}) {
+    let { registry, oracles, stream, webhooks, imports } = services;
+    let authenticate = requireToken(options.token);
+    let router = express.Router();
+
+    router.get('/airlines', handle(() => registry.getAirlines()));
+    router.get('/airlines/:address', handle((req) => registry.getAirline(requireAddress(req.params.address))));
+    router.get('/flights', handle(() => registry.getFlights()));
+    router.get('/flights/:key', handle((req) => registry.getFlight(requireFlightKey(req.params.key))));
+    router.get('/flights/:key/insurances', handle((req) => registry.getFlightInsurances(requireFlightKey(req.params.key))));
+    router.get('/events', handle((req) => registry.getEvents(requireEvents(req.query.event))));
+    router.get('/imports', handle(() => imports.getImports()));
+    router.post('/imports', authenticate, readText, handle(async (req) => imports.start(requireValidSchedule(await imports.prepare(requireSchedule(req.body)))), 202));
+    router.post('/imports/preview', authenticate, readText, handle(async (req) => imports.preview(await imports.prepare(requireSchedule(req.body)))));
+    router.get('/imports/:id', handle((req) => imports.getImport(req.params.id)));
+    router.get('/oracles', handle(() => oracles.getOracles()));
+    router.get('/parameters', handle(() => registry.getParameters()));
+    router.get('/stream', (req, res) => {
+        try {
+            stream.subscribe(req, res, getStreamFilter(req));
+        } catch (error) {
+            res.status(error.status || 500).send({ error: error.message });
+        }
+    });
+    router.use('/webhooks', authenticate);
+    router.get('/webhooks', handle(() => webhooks.getWebhooks()));
+    router.post('/webhooks', express.json(), handle((req) => webhooks.add(getWebhookOptions(webhooks, req.body || {})), 201));
+    router.get('/webhooks/:id', handle((req) => webhooks.getWebhook(req.params.id)));
+    router.get('/webhooks/:id/deliveries', handle((req) => webhooks.getWebhook(req.params.id) && webhooks.getDeliveries(req.params.id)));
+    router.delete('/webhooks/:id', handle((req) => webhooks.remove(req.params.id)));
+
+    return router;
+}
+
+export { HttpError, handle };
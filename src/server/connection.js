@@ -0,0 +1,93 @@
+import Web3 from 'web3';
+
+// Event ids kept to drop events delivered twice, the oldest are forgotten first
+const SEEN_LIMIT = 10000;
+
+/**
+ * @dev Websocket provider that reconnects on its own, waiting `delay` ms before the
+ *      first attempt and twice as long before each next one, up to `maxDelay`.
+ *      Pings keep idle connections open and detect sockets that died silently.
+ */
+export function createProvider(url, options = {}) {
+    let delay = options.delay || 1000;
+    let maxDelay = options.maxDelay || 30000;
+    let provider = new Web3.providers.WebsocketProvider(url, {
+        reconnect: { auto: true, delay: delay, maxAttempts: false },
+        clientConfig: { keepalive: true, keepaliveInterval: 20000 }
+    });
+
+    provider.on('reconnect', (attempt) => {
+        console.log(`Websocket to ${url} closed, reconnection attempt ${attempt}`);
+        provider.reconnectOptions.delay = Math.min(delay * Math.pow(2, attempt), maxDelay);
+    });
+    provider.on('connect', () => {
+        provider.reconnectOptions.delay = delay;
+    });
+
+    return provider;
+}
+
+/**
+ * @dev Subscription to a contract event that survives reconnections. web3 would
+ *      resubscribe with the original options and miss the events emitted while
+ *      disconnected, so the subscription is dropped when the socket closes and made
+ *      again from the block of the last handled event once it is back. Events are
+ *      handed over once, keyed by transaction hash and log index.
+ */
+export class EventSubscription {
+    constructor(web3, contract, event, handler) {
+        this.web3 = web3;
+        this.contract = contract;
+        this.event = event;
+        this.handler = handler;
+        this.fromBlock = null;
+        this.subscription = null;
+        this.seen = new Set();
+    }
+
+    async start() {
+        let provider = this.web3.currentProvider;
+
+        this.fromBlock = await this.web3.eth.getBlockNumber() + 1;
+
+        provider.on('reconnect', () => this.unsubscribe());
+        provider.on('connect', () => {
+            if (this.subscription) return;
+
+            console.log(`Subscribing to ${this.event} again from block ${this.fromBlock}`);
+            this.subscribe();
+        });
+
+        this.subscribe();
+    }
+
+    subscribe() {
+        this.subscription = this.contract.events[this.event]({
+            fromBlock: this.fromBlock
+        }, (error, event) => {
+            if (error) return console.log(`${this.event} subscription failed: ${error.message}`);
+            this.receive(event);
+        });
+    }
+
+    unsubscribe() {
+        if (!this.subscription) return;
+
+        // Only forgets the subscription, the node dropped it with the socket
+        this.subscription.unsubscribe(() => {});
+        this.subscription = null;
+    }
+
+    receive(event) {
+        let id = `${event.transactionHash}:${event.logIndex}`;
+
+        if (this.seen.has(id)) return;
+
+        this.seen.add(id);
+        if (this.seen.size > SEEN_LIMIT) this.seen.delete(this.seen.values().next().value);
+
+        // Other events of the same block may still be on their way, start there next time
+        this.fromBlock = Math.max(this.fromBlock, event.blockNumber);
+        this.handler(event);
+    }
+}
@@ -0,0 +1,40 @@
+import { STATUS_CODES } from '../sdk';
+
+/**
+ * @dev Reports the insurances credited by processFlightStatus. Credits have no event
+ *      of their own, they happen in the transaction emitting FlightStatusInfo with
+ *      LATE_AIRLINE, so the insurances of the flight are read back once the indexer
+ *      adds that event. Each insurance is reported once per run.
+ */
+export default class CreditTracker {
+    constructor(indexer, registry) {
+        this.registry = registry;
+        this.listeners = [];
+        this.credited = new Set();
+
+        indexer.onEvent((event) => {
+            if (event.event !== 'FlightStatusInfo' || event.values.status.code !== STATUS_CODES.LATE_AIRLINE) return;
+
+            this.check(event).catch((error) => {
+                console.log(`Could not read the insurances of ${event.values.flight}: ${error.message}`);
+            });
+        });
+    }
+
+    // Listeners are called with { event, flight, insurance } for each credited insurance
+    onCredit(listener) {
+        this.listeners.push(listener);
+    }
+
+    async check(event) {
+        let flight = await this.registry.getFlight(event.values.flight);
+        let insurances = await this.registry.getFlightInsurances(event.values.flight);
+
+        (insurances || [])
+            .filter((insurance) => insurance.isPayed && !this.credited.has(insurance.key))
+            .forEach((insurance) => {
+                this.credited.add(insurance.key);
+                this.listeners.forEach((listener) => listener({ event: event, flight: flight, insurance: insurance }));
+            });
+    }
+}
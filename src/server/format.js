@@ -0,0 +1,101 @@
+import Web3 from 'web3';
+import { decodeFlightNumber, decodeParameterName, PARAMETERS, STATUS_NAMES } from '../sdk';
+
+export function toEther(wei) {
+    return {
+        wei: String(wei),
+        ether: Web3.utils.fromWei(String(wei), 'ether')
+    };
+}
+
+export function toStatus(statusCode) {
+    let code = Number(statusCode);
+    return { code: code, name: STATUS_NAMES[code] || 'UNKNOWN' };
+}
+
+// Airlines, flights and insurances are the named results of the sdk contract wrappers
+
+export function formatAirline(address, airline, votes) {
+    return {
+        address: address,
+        name: airline.name,
+        isRegistered: airline.isRegistered,
+        isFunded: airline.isFunded,
+        balance: toEther(airline.balance),
+        votes: votes || []
+    };
+}
+
+export function formatFlight(flightNumber, flight) {
+    return {
+        key: flight.key,
+        flightNumber: decodeFlightNumber(flightNumber),
+        isRegistered: flight.isRegistered,
+        status: toStatus(flight.statusCode),
+        timestamp: flight.timestamp,
+        airline: flight.airline
+    };
+}
+
+export function formatInsurance(key, insurance) {
+    return {
+        key: key,
+        passenger: insurance.passenger,
+        value: toEther(insurance.value),
+        isPayed: insurance.isPayed,
+        balance: toEther(insurance.balance)
+    };
+}
+
+// Wei parameters as amounts, the others as numbers
+function formatParameterValue(name, value) {
+    return PARAMETERS[name].unit === 'wei' ? toEther(value) : Number(value);
+}
+
+export function formatParameter(name, value, change, proposals) {
+    return {
+        name: name,
+        unit: PARAMETERS[name].unit,
+        value: formatParameterValue(name, value),
+        change: change.executableAt > 0
+            ? { value: formatParameterValue(name, change.value), executableAt: change.executableAt }
+            : null,
+        proposals: proposals.map((proposal) => ({
+            value: formatParameterValue(name, proposal.value),
+            votes: proposal.votes
+        }))
+    };
+}
+
+/**
+ * @dev Flattens a web3 event into its named return values, dropping the
+ *      leading underscore of argument names and decoding bytes32 flight
+ *      numbers and parameter names, wei amounts and status codes
+ */
+export function formatEvent(event) {
+    let values = {};
+
+    Object.keys(event.returnValues)
+        .filter((name) => isNaN(name))
+        .forEach((name) => {
+            let key = name.replace(/^_/, '');
+            let value = event.returnValues[name];
+
+            if (key === 'flightNumber') value = decodeFlightNumber(value);
+            else if (key === 'parameter') value = decodeParameterName(value);
+            else if (/(Amount|Value)$/.test(key)) value = toEther(value);
+            else if (key === 'status') value = toStatus(value);
+            else if (key === 'index' || key === 'timestamp') value = Number(value);
+
+            values[key] = value;
+        });
+
+    return {
+        event: event.event,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+        values: values
+    };
+}
@@ -0,0 +1,153 @@
+import fs from 'fs';
+import { createCheckpoint, diffSchedule, registerSchedule, scheduleHash, validateSchedule } from '../sdk';
+import { writeJsonFile } from './store';
+
+const IMPORTS_VERSION = 1;
+
+function empty() {
+    return {
+        version: IMPORTS_VERSION,
+        imports: {}
+    };
+}
+
+function describeFlight(flight) {
+    return {
+        line: flight.line,
+        flight: flight.flight,
+        airline: flight.airline,
+        timestamp: flight.timestamp,
+        action: flight.action,
+        reason: flight.reason
+    };
+}
+
+// Imports are returned without their checkpoint, only the count of registered flights
+function describe(entry) {
+    let { checkpoint, ...described } = entry;
+    return Object.assign(described, { registered: Object.keys(checkpoint.registered).length });
+}
+
+/**
+ * @dev Registers the flights of CSV or JSON schedules on behalf of the airlines
+ *      it is configured to sign for, among the node accounts. A schedule is validated and compared with the
+ *      registered flights first, then its new flights are sent in batches through
+ *      the transaction queue. Imports are identified by the hash of their schedule
+ *      and their checkpoints are kept in a JSON file, so posting the same schedule
+ *      again resumes an import that failed or was interrupted by a restart.
+ */
+export default class ScheduleImporter {
+    constructor(flightSuretyApp, file, options = {}) {
+        this.flightSuretyApp = flightSuretyApp;
+        this.file = file;
+        this.queue = options.queue;
+        this.batchSize = options.batchSize || 10;
+        this.signers = options.signers || []; // Airline accounts of the node, set once connected
+        this.reader = options.reader;
+        this.running = {};
+        this.data = empty();
+    }
+
+    load() {
+        if (fs.existsSync(this.file)) {
+            let data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+            this.data = data.version === IMPORTS_VERSION ? data : empty();
+        }
+
+        return this;
+    }
+
+    save() {
+        writeJsonFile(this.file, this.data);
+    }
+
+    /**
+     * @dev Validates the rows of a parsed schedule and compares the valid flights
+     *      with the registered ones, see diffSchedule()
+     */
+    async prepare(rows) {
+        let { flights, errors } = validateSchedule(rows);
+        let diff = await diffSchedule(this.flightSuretyApp, flights, { from: this.reader, signers: this.signers });
+
+        return { id: scheduleHash(diff), errors: errors, diff: diff };
+    }
+
+    // What an import of the prepared schedule would do
+    preview(schedule) {
+        return {
+            id: schedule.id,
+            errors: schedule.errors,
+            flights: schedule.diff.map(describeFlight)
+        };
+    }
+
+    /**
+     * @dev Starts registering the new flights of a prepared schedule in the
+     *      background, or returns the import of the same schedule while it runs
+     */
+    start(schedule) {
+        let id = schedule.id;
+        let previous = this.data.imports[id];
+
+        if (this.running[id]) return describe(previous);
+
+        let entry = {
+            id: id,
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            checkpoint: previous ? previous.checkpoint : createCheckpoint(schedule.diff),
+            conflicts: schedule.diff.filter((flight) => flight.action === 'conflict').map(describeFlight),
+            progress: null
+        };
+
+        this.data.imports[id] = entry;
+        this.save();
+
+        this.running[id] = this.run(entry, schedule.diff).then(() => delete this.running[id]);
+        return describe(entry);
+    }
+
+    async run(entry, diff) {
+        try {
+            entry.progress = await registerSchedule(this.flightSuretyApp, diff, {
+                checkpoint: entry.checkpoint,
+                batchSize: this.batchSize,
+                send: (method, flight) => this.send(method, flight),
+                onBatch: (progress) => {
+                    entry.progress = Object.assign({}, progress);
+                    entry.updatedAt = new Date().toISOString();
+                    this.save();
+                }
+            });
+            entry.status = entry.progress.failed.length > 0 ? 'failed' : 'done';
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+        }
+
+        entry.updatedAt = new Date().toISOString();
+        this.save();
+    }
+
+    async send(method, flight) {
+        // Only the configured airlines, whatever the checkpoint being resumed holds
+        if (!this.signers.some((signer) => signer.toLowerCase() === flight.airline.toLowerCase())) {
+            throw new Error(`The server does not import flights of ${flight.airline}`);
+        }
+
+        let result = await this.queue.send(method, flight.airline);
+
+        if (result.error) throw result.error;
+        return result.receipt;
+    }
+
+    getImports() {
+        return Object.keys(this.data.imports).map((id) => describe(this.data.imports[id]));
+    }
+
+    getImport(id) {
+        let entry = this.data.imports[id];
+        return entry ? describe(entry) : null;
+    }
+}
@@ -0,0 +1,151 @@
+import { formatEvent } from './format';
+
+export const INDEXED_EVENTS = [
+    'AirlineRegistered',
+    'AirlineFunded',
+    'FlightRegistered',
+    'InsuranceBuyed',
+    'InsuranceWithdrawn',
+    'OracleRequest',
+    'OracleReport',
+    'FlightStatusInfo',
+    'ParameterVoted',
+    'ParameterChangeQueued',
+    'ParameterChanged'
+];
+
+/**
+ * @dev Copies the FlightSuretyApp events into a local store, block range by block range.
+ *      The apps replaced by upgrades (`options.previousApps`) are read too, their events
+ *      describe the flights and insurances still kept by the data contract. The store remembers the chain it was built from (genesis hash and contract
+ *      addresses) and the last processed block, so a restart resumes where it stopped
+ *      and a reset ganache or a redeployment starts over from an empty store. The chain
+ *      is checked again on every poll, as ganache can be reset under a running server.
+ */
+export default class EventIndexer {
+    constructor(web3, flightSuretyApp, store, options = {}) {
+        this.web3 = web3;
+        this.flightSuretyApp = flightSuretyApp;
+        this.apps = (options.previousApps || []).concat(flightSuretyApp);
+        this.store = store;
+        this.fromBlock = options.fromBlock || 0;
+        this.interval = options.interval || 2000;
+        this.listeners = [];
+        this.timer = null;
+        this.stopped = false;
+    }
+
+    // Listeners are called with each newly indexed event, in chain order
+    onEvent(listener) {
+        this.listeners.push(listener);
+    }
+
+    async start() {
+        this.stopped = false;
+        this.store.load();
+        await this.poll();
+    }
+
+    // A poll still running when stopped does not schedule the next one
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    async poll() {
+        try {
+            await this.sync();
+        } catch (error) {
+            console.log(`Indexer sync failed: ${error.message}`);
+        }
+
+        if (!this.stopped) this.timer = setTimeout(() => this.poll(), this.interval);
+    }
+
+    async sync() {
+        await this.checkChain();
+        await this.checkReorg();
+
+        let fromBlock = this.store.lastBlock === null ? this.fromBlock : this.store.lastBlock + 1;
+        let latest = await this.web3.eth.getBlock('latest');
+
+        if (fromBlock > latest.number) return [];
+
+        let events = await Promise.all(this.apps.map((app) => app.getPastEvents('allEvents', {
+            fromBlock: fromBlock,
+            toBlock: latest.number
+        })));
+        let added = [].concat(...events)
+            .filter((event) => INDEXED_EVENTS.includes(event.event))
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+            .map((event) => Object.assign({ id: `${event.transactionHash}:${event.logIndex}` }, formatEvent(event)))
+            .filter((event) => this.store.addEvent(event));
+
+        // Blocks without events are saved with the next change, a restart scans them again
+        this.store.setLastBlock(latest.number, latest.hash);
+        if (added.length > 0) this.store.save();
+
+        added.forEach((event) => this.listeners.forEach((listener) => listener(event)));
+
+        return added;
+    }
+
+    // Starts over when the node is on another chain or the app was redeployed
+    async checkChain() {
+        let genesis = await this.web3.eth.getBlock(0);
+        let chain = {
+            genesis: genesis.hash,
+            appAddress: this.flightSuretyApp.options.address
+        };
+        let stored = this.store.chain;
+
+        if (stored && stored.genesis === chain.genesis && stored.appAddress === chain.appAddress) return;
+
+        console.log('Index does not match the chain or contract, rebuilding it');
+        this.store.reset(chain);
+        this.store.save();
+    }
+
+    /**
+     * @dev Rolls back to the last indexed block still in the chain when the last
+     *      processed block is not. The blocks of the stored events are compared with
+     *      the chain, newest first, and the store starts over when none matches.
+     */
+    async checkReorg() {
+        if (this.store.lastBlock === null) return;
+
+        let block = await this.web3.eth.getBlock(this.store.lastBlock);
+
+        if (block && block.hash === this.store.lastBlockHash) return;
+
+        let blocks = this.store.getEvents()
+            .map((event) => ({ number: event.blockNumber, hash: event.blockHash }))
+            .filter((stored, index, all) => all.findIndex((other) => other.number === stored.number) === index)
+            .sort((a, b) => b.number - a.number);
+        let ancestor = null;
+
+        for (let stored of blocks) {
+            let current = await this.web3.eth.getBlock(stored.number);
+
+            if (current && current.hash === stored.hash) {
+                ancestor = stored;
+                break;
+            }
+        }
+
+        if (!ancestor) {
+            console.log(`Block ${this.store.lastBlock} is no longer in the chain, rebuilding the index`);
+            this.store.reset(this.store.chain);
+        } else {
+            console.log(`Block ${this.store.lastBlock} is no longer in the chain, rolling back to block ${ancestor.number}`);
+            this.store.removeEventsAfter(ancestor.number);
+            this.store.setLastBlock(ancestor.number, ancestor.hash);
+        }
+        this.store.save();
+    }
+
+    getEvents(names) {
+        return this.store.getEvents(names);
+    }
+}
@@ -0,0 +1,83 @@
+function escape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    let names = Object.keys(labels).sort();
+
+    if (names.length === 0) return '';
+    return `{${names.map((name) => `${name}="${escape(labels[name])}"`).join(',')}}`;
+}
+
+class Metric {
+    constructor(name, help, type, options) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.collect = options.collect;
+        this.labelled = Boolean(options.labelled);
+        this.samples = {};
+    }
+
+    // BigInt values, e.g. amounts in wei, are added without losing precision
+    inc(labels = {}, value = 1) {
+        let key = formatLabels(labels);
+        let sample = this.samples[key] || { labels: labels, value: typeof value === 'bigint' ? BigInt(0) : 0 };
+
+        sample.value += value;
+        this.samples[key] = sample;
+    }
+
+    set(labels, value) {
+        this.samples[formatLabels(labels)] = { labels: labels, value: value };
+    }
+
+    async render() {
+        if (this.collect) await this.collect(this);
+
+        let keys = Object.keys(this.samples);
+        let lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+
+        // Unlabelled metrics are always rendered, labelled ones once they have a sample
+        if (keys.length === 0 && !this.labelled) lines.push(`${this.name} 0`);
+        keys.forEach((key) => lines.push(`${this.name}${key} ${this.samples[key].value}`));
+
+        return lines.join('\n');
+    }
+}
+
+/**
+ * @dev Counters and gauges rendered in the Prometheus text format. A metric can be
+ *      given a collect function, called on each scrape to set its current value.
+ */
+export default class Metrics {
+    constructor(prefix = '') {
+        this.prefix = prefix;
+        this.metrics = [];
+    }
+
+    counter(name, help, options = {}) {
+        return this.add(name, help, 'counter', options);
+    }
+
+    gauge(name, help, options = {}) {
+        return this.add(name, help, 'gauge', options);
+    }
+
+    add(name, help, type, options) {
+        let metric = new Metric(this.prefix + name, help, type, options);
+
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    async render() {
+        let rendered = [];
+
+        for (let metric of this.metrics) {
+            rendered.push(await metric.render());
+        }
+
+        return `${rendered.join('\n')}\n`;
+    }
+}
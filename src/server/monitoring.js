@@ -0,0 +1,115 @@
+import express from 'express';
+import Metrics from './metrics';
+
+/**
+ * @dev Builds the `/health` and `/metrics` endpoints. Counters start at zero when the
+ *      server starts: oracle requests, consensus and payouts are counted from the
+ *      events the indexer adds to its store, responses from the oracle simulator and
+ *      payouts from the credit tracker.
+ */
+export default function createMonitoring(web3, flightSuretyApp, services) {
+    let { indexer, oracles, queue, credits } = services;
+    let router = express.Router();
+    let metrics = new Metrics('flightsurety_');
+
+    let requests = metrics.counter('oracle_requests_total', 'OracleRequest events seen');
+    let responses = metrics.counter('oracle_responses_total', 'Oracle responses by status code and outcome', { labelled: true });
+    let consensus = metrics.counter('consensus_reached_total', 'FlightStatusInfo events, by status code', { labelled: true });
+    let payouts = metrics.counter('payouts_credited_total', 'Insurances credited after a flight was late due to the airline');
+    let payoutsWei = metrics.counter('payouts_credited_wei_total', 'Amount credited to insurees, in wei');
+    let reconnects = metrics.counter('websocket_reconnects_total', 'Reconnection attempts of the websocket provider');
+
+    metrics.counter('oracle_transactions_sent_total', 'Oracle transactions sent to the node', {
+        collect: (metric) => metric.set({}, queue.metrics.sent)
+    });
+    metrics.counter('oracle_transaction_retries_total', 'Oracle transactions retried after a transient error', {
+        collect: (metric) => metric.set({}, queue.metrics.retries)
+    });
+    metrics.gauge('oracles_registered', 'Oracles registered by the server', {
+        collect: (metric) => metric.set({}, oracles.getOracles().length)
+    });
+    metrics.gauge('node_connected', '1 when the websocket provider is connected', {
+        collect: (metric) => metric.set({}, web3.currentProvider.connected ? 1 : 0)
+    });
+    metrics.gauge('latest_block', 'Latest block of the node', {
+        collect: async (metric) => metric.set({}, await web3.eth.getBlockNumber())
+    });
+    metrics.gauge('indexer_lag_blocks', 'Blocks between the latest block and the last indexed one', {
+        collect: async (metric) => {
+            let latest = await web3.eth.getBlockNumber();
+            let indexed = indexer.store.lastBlock;
+
+            metric.set({}, indexed === null ? latest : Math.max(latest - indexed, 0));
+        }
+    });
+
+    oracles.onResponse((response) => responses.inc({ status_code: response.statusCode, outcome: response.outcome }));
+
+    indexer.onEvent((event) => {
+        if (event.event === 'OracleRequest') requests.inc();
+        if (event.event !== 'FlightStatusInfo') return;
+
+        consensus.inc({ status_code: event.values.status.code });
+    });
+
+    credits.onCredit((credit) => {
+        payouts.inc();
+        payoutsWei.inc({}, BigInt(credit.insurance.balance.wei));
+    });
+
+    // Emitted by the web3 WebsocketProvider before each attempt, see connection.js
+    if (web3.currentProvider.on) {
+        web3.currentProvider.on('reconnect', () => reconnects.inc());
+    }
+
+    router.get('/health', (req, res) => {
+        getHealth(web3, flightSuretyApp, indexer).then((health) => {
+            res.status(health.status === 'down' ? 503 : 200).send(health);
+        });
+    });
+
+    router.get('/metrics', (req, res) => {
+        metrics.render()
+            .then((text) => res.type('text/plain; version=0.0.4').send(text))
+            .catch((error) => res.status(500).type('text/plain').send(`# ${error.message}\n`));
+    });
+
+    return { router: router, metrics: metrics };
+}
+
+/**
+ * @dev `ok` when the node answers and the contract is operational, `paused` when
+ *      the contract is not operational and `down` when either cannot be reached
+ */
+async function getHealth(web3, flightSuretyApp, indexer) {
+    let health = {
+        status: 'ok',
+        node: { connected: false },
+        contract: { address: flightSuretyApp.options.address, operational: null },
+        indexer: { lastBlock: indexer.store.lastBlock, lag: null }
+    };
+
+    try {
+        let block = await web3.eth.getBlock('latest');
+
+        health.node = {
+            connected: true,
+            latestBlock: { number: block.number, hash: block.hash, timestamp: Number(block.timestamp) }
+        };
+        if (health.indexer.lastBlock !== null) health.indexer.lag = block.number - health.indexer.lastBlock;
+    } catch (error) {
+        health.node.error = error.message;
+        health.status = 'down';
+        return health;
+    }
+
+    try {
+        health.contract.operational = await flightSuretyApp.methods.isOperational().call();
+        if (!health.contract.operational) health.status = 'paused';
+    } catch (error) {
+        health.contract.error = error.message;
+        health.status = 'down';
+    }
+
+    return health;
+}
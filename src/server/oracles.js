@@ -0,0 +1,128 @@
+import { random } from './policies';
+import TransactionQueue from './transactions';
+
+// getMyIndexes() reverts for accounts that never registered
+function isNotRegistered(error) {
+    return /Not registered as an oracle|revert/.test(error.message);
+}
+
+export default class OracleSimulator {
+    constructor(web3, flightSuretyApp, roster, options = {}) {
+        this.web3 = web3;
+        this.flightSuretyApp = flightSuretyApp;
+        this.roster = roster;
+        this.count = options.count !== undefined ? options.count : 20;
+        this.offset = options.offset || 0;
+        this.policy = options.policy || random();
+        this.queue = options.queue || new TransactionQueue(web3);
+        this.oracles = [];
+        this.listeners = [];
+    }
+
+    // Listeners are called with each response once its transaction settled
+    onResponse(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * @dev Registers the configured range of node accounts as oracles. Accounts the
+     *      contract already knows (e.g. after a restart) are not registered again,
+     *      their indexes are read back and the roster on disk is brought up to date.
+     */
+    async register() {
+        let accounts = await this.web3.eth.getAccounts();
+        let candidates = accounts.slice(this.offset, this.offset + this.count);
+        let fee = await this.flightSuretyApp.REGISTRATION_FEE();
+        let genesis = await this.web3.eth.getBlock(0);
+        let chain = {
+            genesis: genesis.hash,
+            appAddress: this.flightSuretyApp.address
+        };
+        let stored = this.roster.load().chain;
+
+        if (!stored || stored.genesis !== chain.genesis || stored.appAddress !== chain.appAddress) {
+            this.roster.reset(chain);
+        }
+        this.roster.retain(candidates);
+
+        if (candidates.length < this.count) {
+            console.warn(`Only ${candidates.length} of ${this.count} oracle accounts are available on the node`);
+        }
+
+        for (let account of candidates) {
+            try {
+                let indexes = await this.getIndexes(account);
+
+                if (indexes) {
+                    this.roster.set(account, indexes);
+                    console.log(`Oracle already registered: ${account} [${indexes.join(', ')}]`);
+                    continue;
+                }
+
+                let result = await this.queue.send(this.flightSuretyApp.registerOracle(), account, { value: fee });
+                if (result.error) throw result.error;
+
+                indexes = await this.getIndexes(account);
+                this.roster.set(account, indexes, result.receipt.transactionHash);
+                console.log(`Oracle registered: ${account} [${indexes.join(', ')}]`);
+            } catch (error) {
+                console.log(`Oracle ${account} could not be registered: ${error.message}`);
+            }
+        }
+
+        this.roster.save();
+        this.oracles = this.roster.oracles;
+        return this.oracles;
+    }
+
+    // Indexes assigned to an account, null when it is not registered
+    async getIndexes(account) {
+        try {
+            return await this.flightSuretyApp.getMyIndexes({ from: account });
+        } catch (error) {
+            if (isNotRegistered(error)) return null;
+            throw error;
+        }
+    }
+
+    getStatusCode(request, oracle) {
+        return this.policy(request, oracle);
+    }
+
+    /**
+     * @dev Answers an OracleRequest event from every oracle holding the requested index.
+     *      The responses go through the transaction queue side by side, once consensus
+     *      is reached the remaining ones come back as `closed`.
+     */
+    async respond(request) {
+        let index = Number(request.index);
+        let matching = this.oracles.filter((oracle) => oracle.indexes.includes(index));
+
+        await Promise.all(matching.map(async (oracle) => {
+            let statusCode = this.getStatusCode(request, oracle);
+            let method = this.flightSuretyApp
+                .submitOracleResponse(index, request.airline, request.flight, request.timestamp, statusCode);
+            let result = await this.queue.send(method, oracle.address);
+
+            this.roster.countResponse(oracle.address, result.outcome);
+            this.listeners.forEach((listener) => listener({
+                request: request,
+                oracle: oracle.address,
+                statusCode: statusCode,
+                outcome: result.outcome
+            }));
+
+            if (result.outcome === 'confirmed') {
+                console.log(`Oracle ${oracle.address} reported ${statusCode} for ${request.flight} ${request.timestamp}`);
+            } else {
+                console.log(`Oracle ${oracle.address} response ${result.outcome}: ${result.error.message}`);
+            }
+        }));
+
+        if (matching.length > 0) this.roster.save();
+    }
+
+    getOracles() {
+        return this.oracles;
+    }
+}
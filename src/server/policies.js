@@ -0,0 +1,85 @@
+import fs from 'fs';
+import { STATUS_CODES, toStatusCode } from '../sdk';
+
+const CODES = Object.keys(STATUS_CODES).map((name) => STATUS_CODES[name]);
+
+function pick(codes) {
+    return codes[Math.floor(Math.random() * codes.length)];
+}
+
+// A policy is a function (request, oracle) => statusCode
+
+export function fixed(statusCode = STATUS_CODES.LATE_AIRLINE) {
+    let code = toStatusCode(statusCode);
+    return () => code;
+}
+
+export function random() {
+    return () => pick(CODES);
+}
+
+/**
+ * @dev Reports the status mapped to the requested flight number,
+ *      e.g. { "ND1309": 20, "LFT568": "ON_TIME", "default": 10 }
+ */
+export function perFlight(mapping, fallback = random()) {
+    let codes = {};
+
+    Object.keys(mapping).forEach((flight) => {
+        codes[flight] = toStatusCode(mapping[flight]);
+    });
+
+    return (request, oracle) => {
+        if (codes[request.flight] !== undefined) return codes[request.flight];
+        if (codes.default !== undefined) return codes.default;
+        return fallback(request, oracle);
+    };
+}
+
+export function perFlightFile(path, fallback) {
+    return perFlight(JSON.parse(fs.readFileSync(path, 'utf-8')), fallback);
+}
+
+/**
+ * @dev Wraps an honest policy so that a percentage of the oracles always report
+ *      a status different from the honest one. Each oracle is drawn as liar or
+ *      honest the first time it answers and keeps that role for the whole run.
+ */
+export function adversarial(honest, percentage = 30) {
+    let liars = {};
+
+    return (request, oracle) => {
+        let code = honest(request, oracle);
+
+        if (liars[oracle.address] === undefined) {
+            liars[oracle.address] = Math.random() * 100 < percentage;
+        }
+
+        return liars[oracle.address] ? pick(CODES.filter((other) => other !== code)) : code;
+    };
+}
+
+/**
+ * @dev Builds the policy selected by ORACLE_POLICY (fixed, random, flights or adversarial)
+ */
+export function createPolicy(env = process.env) {
+    let name = env.ORACLE_POLICY || 'random';
+
+    switch (name) {
+        case 'fixed':
+            return fixed(env.ORACLE_STATUS_CODE);
+        case 'random':
+            return random();
+        case 'flights':
+            if (!env.ORACLE_FLIGHTS_FILE) throw new Error('ORACLE_FLIGHTS_FILE is required by the flights policy');
+            return perFlightFile(env.ORACLE_FLIGHTS_FILE);
+        case 'adversarial':
+            if (env.ORACLE_HONEST_POLICY === 'adversarial') throw new Error('The honest policy cannot be adversarial');
+            return adversarial(
+                createPolicy(Object.assign({}, env, { ORACLE_POLICY: env.ORACLE_HONEST_POLICY || 'fixed' })),
+                Number(env.ORACLE_LIARS || 30)
+            );
+        default:
+            throw new Error(`Unknown oracle policy: ${name}`);
+    }
+}
@@ -0,0 +1,127 @@
+import { encodeFlightNumber, encodeParameterName, insuranceKey, PARAMETER_NAMES } from '../sdk';
+import { formatAirline, formatFlight, formatInsurance, formatParameter } from './format';
+
+const FLIGHT_KEY = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * @dev Read access to the airlines, flights and insurances kept by FlightSuretyData,
+ *      through the view getters of FlightSuretyApp so the server needs no access to
+ *      the data contract. Its state lives in mappings, so entities are enumerated from
+ *      the events collected by the indexer and then looked up one by one. The contract
+ *      is the wrapper of the sdk, which names the values returned by the getters.
+ */
+export default class Registry {
+    constructor(flightSuretyApp, indexer, options = {}) {
+        this.flightSuretyApp = flightSuretyApp;
+        this.indexer = indexer;
+        this.firstAirline = options.firstAirline;
+    }
+
+    async getEvents(names) {
+        return this.indexer.getEvents(names);
+    }
+
+    async getAirlines() {
+        let events = await this.getEvents(['AirlineRegistered']);
+        let addresses = [this.firstAirline].concat(events.map((event) => event.values.airlineAddress));
+        let airlines = [];
+
+        for (let address of addresses.filter((address, index) => address && addresses.indexOf(address) === index)) {
+            airlines.push(await this.getAirline(address));
+        }
+
+        return airlines;
+    }
+
+    async getAirline(address) {
+        let airline = await this.flightSuretyApp.getAirline(address);
+        let votes = await this.flightSuretyApp.getAirlineVotes(address);
+
+        // Airlines still collecting votes are reported as not registered
+        if (!airline.isRegistered && votes.length === 0) return null;
+
+        return formatAirline(address, airline, votes);
+    }
+
+    async getFlights() {
+        let events = await this.getEvents(['FlightRegistered']);
+        let numbers = events.map((event) => encodeFlightNumber(event.values.flightNumber));
+        let flights = [];
+
+        for (let number of numbers.filter((number, index) => numbers.indexOf(number) === index)) {
+            flights.push(await this.getFlightByNumber(number));
+        }
+
+        return flights;
+    }
+
+    async getFlightByNumber(flightNumber) {
+        let flight = await this.flightSuretyApp.getFlight(flightNumber);
+
+        if (!flight.isRegistered) return null;
+
+        return formatFlight(flightNumber, flight);
+    }
+
+    /**
+     * @dev Looks a flight up by its key (0x-prefixed bytes32) or by its flight number
+     */
+    async getFlight(key) {
+        if (FLIGHT_KEY.test(key)) {
+            let flights = await this.getFlights();
+            return flights.find((flight) => flight.key.toLowerCase() === key.toLowerCase()) || null;
+        }
+
+        return this.getFlightByNumber(encodeFlightNumber(key));
+    }
+
+    async getFlightInsurances(key) {
+        let flight = await this.getFlight(key);
+
+        if (!flight) return null;
+
+        let flightNumber = encodeFlightNumber(flight.flightNumber);
+        let passengers = await this.flightSuretyApp.getFlightInsurances(flightNumber);
+        let insurances = [];
+
+        for (let passenger of passengers) {
+            let insurance = await this.flightSuretyApp.getInsurance(flightNumber, passenger);
+            insurances.push(formatInsurance(insuranceKey(passenger, flight.key), insurance));
+        }
+
+        return insurances;
+    }
+
+    /**
+     * @dev Current value of each parameter of FlightSuretyApp, the change waiting for
+     *      its timelock and the values still collecting votes, found from the indexed
+     *      ParameterVoted events
+     */
+    async getParameters() {
+        let events = await this.getEvents(['ParameterVoted']);
+        let parameters = [];
+
+        for (let name of PARAMETER_NAMES) {
+            let parameter = encodeParameterName(name);
+            let values = events
+                .filter((event) => event.values.parameter === name)
+                .map((event) => event.values.value)
+                .filter((value, index, all) => all.indexOf(value) === index);
+            let proposals = [];
+
+            for (let value of values) {
+                let votes = await this.flightSuretyApp.getParameterVotes(parameter, value);
+                if (votes.length > 0) proposals.push({ value: value, votes: votes });
+            }
+
+            parameters.push(formatParameter(
+                name,
+                await this.flightSuretyApp.getParameter(parameter),
+                await this.flightSuretyApp.getParameterChange(parameter),
+                proposals
+            ));
+        }
+
+        return parameters;
+    }
+}
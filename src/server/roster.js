@@ -0,0 +1,79 @@
+import fs from 'fs';
+import { writeJsonFile } from './store';
+
+const ROSTER_VERSION = 1;
+
+function empty(chain) {
+    return {
+        version: ROSTER_VERSION,
+        chain: chain || null,
+        oracles: []
+    };
+}
+
+/**
+ * @dev Keeps the oracles registered by the server in a JSON file: their account,
+ *      the indexes assigned by the contract, the registration transaction and the
+ *      outcomes of their responses (see transactions.js). Like the event store it
+ *      remembers the chain (genesis hash and app address) it belongs to.
+ */
+export default class OracleRoster {
+    constructor(file) {
+        this.file = file;
+        this.data = empty();
+    }
+
+    load() {
+        if (fs.existsSync(this.file)) {
+            let data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+            this.data = data.version === ROSTER_VERSION ? data : empty();
+        }
+
+        return this;
+    }
+
+    save() {
+        writeJsonFile(this.file, this.data);
+    }
+
+    reset(chain) {
+        this.data = empty(chain);
+    }
+
+    get chain() {
+        return this.data.chain;
+    }
+
+    get oracles() {
+        return this.data.oracles;
+    }
+
+    get(address) {
+        return this.data.oracles.find((oracle) => oracle.address.toLowerCase() === address.toLowerCase()) || null;
+    }
+
+    // Keeps the transaction and response counts of an oracle already in the roster
+    set(address, indexes, transactionHash) {
+        let oracle = this.get(address);
+
+        if (!oracle) {
+            oracle = { address: address, indexes: [], transactionHash: null, responses: {} };
+            this.data.oracles.push(oracle);
+        }
+
+        oracle.indexes = indexes;
+        oracle.transactionHash = transactionHash || oracle.transactionHash;
+        return oracle;
+    }
+
+    // Drops the oracles that are no longer in the given accounts
+    retain(addresses) {
+        let kept = addresses.map((address) => address.toLowerCase());
+        this.data.oracles = this.data.oracles.filter((oracle) => kept.includes(oracle.address.toLowerCase()));
+    }
+
+    countResponse(address, outcome) {
+        let oracle = this.get(address);
+        if (oracle) oracle.responses[outcome] = (oracle.responses[outcome] || 0) + 1;
+    }
+}
@@ -1,28 +1,136 @@
 import FlightSuretyApp from '../../build/contracts/FlightSuretyApp.json';
+import FlightSuretyData from '../../build/contracts/FlightSuretyData.json';
 import Config from './config.json';
 import Web3 from 'web3';
 import express from 'express';
+import OracleSimulator from './oracles';
+import Registry from './registry';
+import JsonStore from './store';
+import OracleRoster from './roster';
+import TransactionQueue from './transactions';
+import EventIndexer from './indexer';
+import createApi from './api';
+import EventStream from './stream';
+import CreditTracker from './credits';
+import WebhookNotifier from './webhooks';
+import ScheduleImporter from './imports';
+import createMonitoring from './monitoring';
+import { createProvider, EventSubscription } from './connection';
+import { wrapContract, DEFAULT_NETWORK, NetworkError, selectNetwork, checkNetwork } from '../sdk';
+import { createPolicy } from './policies';
 
 
-let config = Config['localhost'];
-let web3 = new Web3(new Web3.providers.WebsocketProvider(config.url.replace('http', 'ws')));
+let network = process.env.NETWORK || DEFAULT_NETWORK;
+let config = selectNetwork(Config, network);
+if (!config) {
+    console.log(`Network ${network} is not in config.json, run truffle migrate --network ${network}`);
+    process.exit(1);
+}
+
+let web3 = new Web3(createProvider(config.wsUrl));
 web3.eth.defaultAccount = web3.eth.accounts[0];
 let flightSuretyApp = new web3.eth.Contract(FlightSuretyApp.abi, config.appAddress);
 
+// Getters of the sdk wrappers resolve to named results
+let appContract = wrapContract(flightSuretyApp);
+
+let queue = new TransactionQueue(web3, {
+    concurrency: Number(process.env.ORACLE_CONCURRENCY || 5),
+    retries: Number(process.env.ORACLE_RETRIES || 4)
+});
+
+// Accounts 0 to 10 are used by the dapp as owner, airlines and passengers
+let oracles = new OracleSimulator(web3, appContract, new OracleRoster(process.env.ORACLES_FILE || 'data/oracles.json'), {
+    count: Number(process.env.ORACLES_COUNT || 20),
+    offset: Number(process.env.ORACLES_OFFSET || 11),
+    policy: createPolicy(process.env),
+    queue: queue
+});
+
+// Flights and insurances bought before an upgrade were announced by the previous app contracts
+let indexer = new EventIndexer(web3, flightSuretyApp, new JsonStore(process.env.INDEX_FILE || 'data/index.json'), {
+    fromBlock: config.deploymentBlock,
+    previousApps: (config.upgrades || []).map((upgrade) => new web3.eth.Contract(FlightSuretyApp.abi, upgrade.previousApp))
+});
+
+let registry = new Registry(appContract, indexer, {
+    firstAirline: config.firstAirline
+});
+
+let stream = new EventStream(indexer, registry);
+
+let credits = new CreditTracker(indexer, registry);
+
+// Without WEBHOOK_HOSTS webhooks can target any host but internal addresses
+let webhooks = new WebhookNotifier(process.env.WEBHOOKS_FILE || 'data/webhooks.json', {
+    hosts: (process.env.WEBHOOK_HOSTS || '').split(',').map((host) => host.trim()).filter((host) => host)
+}).load();
+credits.onCredit((credit) => webhooks.notify(credit));
+
+// Flights of imported schedules are sent by their airlines, among the node accounts
+// listed in IMPORT_AIRLINES, no airline is signed for by default
+let importAirlines = (process.env.IMPORT_AIRLINES || '')
+    .split(',')
+    .map((address) => address.trim().toLowerCase())
+    .filter((address) => address);
+let imports = new ScheduleImporter(appContract, process.env.IMPORTS_FILE || 'data/imports.json', {
+    queue: queue,
+    batchSize: Number(process.env.IMPORT_BATCH_SIZE || 10)
+}).load();
+
+let requests = new EventSubscription(web3, flightSuretyApp, 'OracleRequest', (event) => {
+    oracles.respond(event.returnValues);
+});
+
+let monitoring = createMonitoring(web3, flightSuretyApp, {
+    indexer: indexer,
+    oracles: oracles,
+    queue: queue,
+    credits: credits
+});
+
+async function start() {
+    await checkNetwork(web3, config, { FlightSuretyApp, FlightSuretyData });
+
+    let accounts = await web3.eth.getAccounts();
+
+    // The owner deployed the contracts and registered the first airline
+    registry.firstAirline = registry.firstAirline || accounts[0];
+    imports.reader = accounts[0];
+    imports.signers = accounts.filter((account) => importAirlines.includes(account.toLowerCase()));
+
+    await indexer.start();
+    await oracles.register();
+    await requests.start();
+}
 
-flightSuretyApp.events.OracleRequest({
-    fromBlock: 0
-  }, function (error, event) {
-    if (error) console.log(error)
-    console.log(event)
+start().catch((error) => {
+    // Never serve the addresses of another chain
+    if (error instanceof NetworkError) {
+        console.log(error.message);
+        process.exit(1);
+    }
+    console.log(error);
 });
 
 const app = express();
+app.use(monitoring.router);
 app.get('/api', (req, res) => {
     res.send({
       message: 'An API for use with your Dapp!'
     })
 })
+// Manifest of the deployment the server is connected to
+app.get('/api/deployment', (req, res) => res.send(config));
+app.use('/api', createApi({
+    registry: registry,
+    oracles: oracles,
+    stream: stream,
+    webhooks: webhooks,
+    imports: imports
+}, {
+    token: process.env.API_TOKEN
+}));
 
 export default app;
 
@@ -0,0 +1,90 @@
+import fs from 'fs';
+import path from 'path';
+
+const STORE_VERSION = 1;
+
+function empty(chain) {
+    return {
+        version: STORE_VERSION,
+        chain: chain || null,
+        lastBlock: null,
+        lastBlockHash: null,
+        events: []
+    };
+}
+
+// Writes to a temporary file first and renames it over the target,
+// so a crash never leaves the file half written
+export function writeJsonFile(file, data) {
+    let temporary = `${file}.tmp`;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(temporary, JSON.stringify(data), 'utf-8');
+    fs.renameSync(temporary, file);
+}
+
+/**
+ * @dev Keeps the indexed events in a single JSON file
+ */
+export default class JsonStore {
+    constructor(file) {
+        this.file = file;
+        this.data = empty();
+        this.ids = new Set();
+    }
+
+    load() {
+        if (fs.existsSync(this.file)) {
+            let data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+            this.data = data.version === STORE_VERSION ? data : empty();
+        }
+
+        this.ids = new Set(this.data.events.map((event) => event.id));
+        return this;
+    }
+
+    save() {
+        writeJsonFile(this.file, this.data);
+    }
+
+    reset(chain) {
+        this.data = empty(chain);
+        this.ids = new Set();
+    }
+
+    get chain() {
+        return this.data.chain;
+    }
+
+    get lastBlock() {
+        return this.data.lastBlock;
+    }
+
+    get lastBlockHash() {
+        return this.data.lastBlockHash;
+    }
+
+    setLastBlock(number, hash) {
+        this.data.lastBlock = number;
+        this.data.lastBlockHash = hash;
+    }
+
+    // Returns false when the event was already stored
+    addEvent(event) {
+        if (this.ids.has(event.id)) return false;
+
+        this.ids.add(event.id);
+        this.data.events.push(event);
+        return true;
+    }
+
+    // Drops every event after the given block, used to roll back a reorganization
+    removeEventsAfter(number) {
+        this.data.events = this.data.events.filter((event) => event.blockNumber <= number);
+        this.ids = new Set(this.data.events.map((event) => event.id));
+    }
+
+    getEvents(names) {
+        return this.data.events.filter((event) => !names || names.includes(event.event));
+    }
+}
@@ -0,0 +1,154 @@
+import { encodeFlightNumber, flightKey } from '../sdk';
+
+export const STREAM_EVENTS = [
+    'FlightStatusInfo',
+    'OracleReport',
+    'InsuranceBuyed',
+    'AirlineRegistered'
+];
+
+// Comment lines keep proxies from closing idle streams
+const KEEP_ALIVE = 15000;
+
+// Delay before a browser reconnects a closed stream
+const RETRY = 3000;
+
+function same(a, b) {
+    return Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * @dev Pushes the events added by the indexer to browsers as server-sent events. Each
+ *      event gets the flight it is about (key, number, airline and timestamp) so clients
+ *      can filter by airline, flight key or number and passenger. Events are sent in
+ *      chain order with their id, a reconnecting EventSource resumes after the last one.
+ */
+export default class EventStream {
+    constructor(indexer, registry, options = {}) {
+        this.indexer = indexer;
+        this.registry = registry;
+        this.keepAlive = options.keepAlive || KEEP_ALIVE;
+        this.clients = new Set();
+        this.flights = {};
+        this.published = Promise.resolve();
+
+        indexer.onEvent((event) => {
+            if (!STREAM_EVENTS.includes(event.event)) return;
+
+            // Described one after the other so lookups do not reorder them
+            this.published = this.published
+                .then(() => this.describe(event))
+                .then((described) => this.clients.forEach((client) => this.send(client, described)))
+                .catch((error) => console.log(`Could not stream ${event.event}: ${error.message}`));
+        });
+    }
+
+    async describe(event) {
+        let values = event.values;
+        let flight = null;
+
+        if (values.flight !== undefined) {
+            flight = {
+                key: flightKey(values.airline, values.flight, values.timestamp),
+                flightNumber: values.flight,
+                airline: values.airline,
+                timestamp: values.timestamp
+            };
+        } else if (values.flightNumber !== undefined) {
+            flight = await this.getFlight(values.flightNumber);
+        }
+
+        return Object.assign({}, event, { flight: flight });
+    }
+
+    // Registered flights never change, they are looked up once
+    async getFlight(flightNumber) {
+        if (!this.flights[flightNumber]) {
+            let flight = await this.registry.getFlightByNumber(encodeFlightNumber(flightNumber));
+            if (!flight) return null;
+
+            this.flights[flightNumber] = {
+                key: flight.key,
+                flightNumber: flight.flightNumber,
+                airline: flight.airline,
+                timestamp: flight.timestamp
+            };
+        }
+
+        return this.flights[flightNumber];
+    }
+
+    isInsured(passenger, flightNumber) {
+        return this.indexer.getEvents(['InsuranceBuyed']).some((event) => {
+            return same(event.values.clientAddress, passenger) && event.values.flightNumber === flightNumber;
+        });
+    }
+
+    /**
+     * @dev Filters are combined: `events` by name, `airline` by address, `flight` by key
+     *      or flight number and `passenger` by the insurances they bought and the status
+     *      of the flights they are insured on
+     */
+    matches(filter, event) {
+        let values = event.values;
+        let flight = event.flight;
+
+        if (!filter.events.includes(event.event)) return false;
+        if (filter.airline && !same(values.airlineAddress || (flight && flight.airline), filter.airline)) return false;
+        if (filter.flight && !(flight && (same(flight.key, filter.flight) || flight.flightNumber === filter.flight))) return false;
+
+        if (filter.passenger) {
+            if (values.clientAddress) return same(values.clientAddress, filter.passenger);
+            return Boolean(flight) && this.isInsured(filter.passenger, flight.flightNumber);
+        }
+
+        return true;
+    }
+
+    send(client, event) {
+        if (!this.matches(client.filter, event)) return;
+
+        client.res.write(`id: ${event.id}\nevent: ${event.event}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+
+    /**
+     * @dev Starts streaming to a response. Stored events are replayed first: the ones
+     *      after `lastEventId` or, for a new client, the ones from `fromBlock` on.
+     */
+    subscribe(req, res, filter) {
+        let client = { res: res, filter: filter, closed: false };
+        let timer = setInterval(() => res.write(': keep-alive\n\n'), this.keepAlive);
+
+        req.on('close', () => {
+            client.closed = true;
+            clearInterval(timer);
+            this.clients.delete(client);
+        });
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // The dapp is served from another port
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.write(`retry: ${RETRY}\n\n`);
+
+        let stored = this.indexer.getEvents(filter.events);
+        let last = stored.findIndex((event) => event.id === filter.lastEventId);
+        let replay = last !== -1
+            ? stored.slice(last + 1)
+            : stored.filter((event) => filter.fromBlock !== undefined && event.blockNumber >= filter.fromBlock);
+
+        // Queued behind the events being published so none is sent twice or skipped
+        this.published = this.published
+            .then(async () => {
+                for (let event of replay) {
+                    if (client.closed) return;
+                    this.send(client, await this.describe(event));
+                }
+                if (!client.closed) this.clients.add(client);
+            })
+            .catch((error) => console.log(`Could not replay the stream: ${error.message}`));
+    }
+}
@@ -0,0 +1,143 @@
+// Enough gas for a response that reaches consensus and runs processFlightStatus.
+// Estimates are not used as the limit: responses estimated side by side do not
+// see each other, so the one reaching consensus would run out of gas.
+export const MAX_GAS = 3000000;
+
+// Reverts that fail the same way however often they are sent
+const PERMANENT_ERRORS = [
+    ['index-mismatch', /Index does not match oracle request/],
+    ['closed', /Flight or timestamp do not match oracle request/],
+    ['already-registered', /Oracle already registered/],
+    ['already-responded', /This oracle has already submitted a response/],
+    ['insufficient-funds', /enough funds|insufficient funds/i],
+    ['reverted', /revert|invalid opcode|out of gas/i]
+];
+
+export const TRANSIENT = 'transient';
+
+// Sent but not seen mined in time, e.g. web3's "not mined within 50 blocks". It may
+// still be mined, so it is not sent again: a new nonce could apply it twice.
+export const UNKNOWN = 'unknown';
+const UNKNOWN_ERRORS = /not mined within|might still be mined/i;
+
+/**
+ * @dev Outcome of a failed transaction: UNKNOWN when it was sent but its receipt
+ *      never came, one of the PERMANENT_ERRORS names, or TRANSIENT for nonce
+ *      collisions, dropped connections and the like
+ */
+export function classify(error) {
+    let message = error && error.message ? error.message : String(error);
+
+    if (UNKNOWN_ERRORS.test(message)) return UNKNOWN;
+
+    let match = PERMANENT_ERRORS.find((entry) => entry[1].test(message));
+
+    return match ? match[0] : TRANSIENT;
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @dev Sends the transactions of many accounts sharing one node. Each account has
+ *      its own queue and nonce, at most `concurrency` transactions are in flight at
+ *      once, transient errors are retried with exponential backoff and permanent
+ *      reverts and transactions of unknown outcome are reported right away. Every
+ *      send resolves with its outcome.
+ */
+export default class TransactionQueue {
+    constructor(web3, options = {}) {
+        this.web3 = web3;
+        this.concurrency = options.concurrency || 5;
+        this.retries = options.retries !== undefined ? options.retries : 4;
+        this.backoff = options.backoff || 500;
+        this.accounts = {};
+        this.active = 0;
+        this.waiting = [];
+        this.metrics = { sent: 0, retries: 0, outcomes: {} };
+    }
+
+    /**
+     * @dev Queues a contract method call, resolves with { outcome, receipt } once
+     *      mined or { outcome, error } when it was given up
+     */
+    send(method, from, options = {}) {
+        let account = this.getAccount(from);
+        let result = account.tail
+            .then(() => this.acquire())
+            .then(() => this.execute(method, from, account, options))
+            .then((outcome) => {
+                this.release();
+                return outcome;
+            });
+
+        account.tail = result;
+        return result;
+    }
+
+    getAccount(from) {
+        let key = from.toLowerCase();
+
+        if (!this.accounts[key]) {
+            this.accounts[key] = { nonce: null, tail: Promise.resolve() };
+        }
+
+        return this.accounts[key];
+    }
+
+    acquire() {
+        if (this.active < this.concurrency) {
+            this.active++;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => this.waiting.push(resolve));
+    }
+
+    // Hands the slot over to the next waiting transaction
+    release() {
+        let next = this.waiting.shift();
+
+        if (next) next();
+        else this.active--;
+    }
+
+    async execute(method, from, account, options) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                if (account.nonce === null) {
+                    account.nonce = await this.web3.eth.getTransactionCount(from, 'pending');
+                }
+
+                // Reverts show up here without spending a transaction
+                await method.estimateGas({ from: from, value: options.value });
+
+                let nonce = account.nonce;
+                this.metrics.sent++;
+                let receipt = await method.send({ from: from, value: options.value, gas: MAX_GAS, nonce: nonce });
+
+                account.nonce = nonce + 1;
+                return this.finish({ outcome: 'confirmed', receipt: receipt });
+            } catch (error) {
+                // A failed send may or may not have used its nonce, ask the node again
+                account.nonce = null;
+
+                let outcome = classify(error);
+
+                if (outcome !== TRANSIENT) return this.finish({ outcome: outcome, error: error });
+                if (attempt >= this.retries) return this.finish({ outcome: 'failed', error: error });
+
+                this.metrics.retries++;
+                await sleep(this.backoff * Math.pow(2, attempt));
+            }
+        }
+    }
+
+    finish(result) {
+        let outcomes = this.metrics.outcomes;
+
+        outcomes[result.outcome] = (outcomes[result.outcome] || 0) + 1;
+        return result;
+    }
+}
@@ -0,0 +1,274 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { writeJsonFile } from './store';
+
+const WEBHOOKS_VERSION = 1;
+
+// Deliveries kept in the log, the oldest are dropped first
+const LOG_SIZE = 500;
+
+export const CREDITED_EVENT = 'insurance.credited';
+
+function empty() {
+    return {
+        version: WEBHOOKS_VERSION,
+        webhooks: [],
+        delivered: [],
+        deliveries: []
+    };
+}
+
+function same(a, b) {
+    return Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Loopback, private, link-local and unspecified addresses, e.g. the node or a cloud metadata service
+const INTERNAL_ADDRESSES = new net.BlockList();
+INTERNAL_ADDRESSES.addSubnet('0.0.0.0', 8);
+INTERNAL_ADDRESSES.addSubnet('10.0.0.0', 8);
+INTERNAL_ADDRESSES.addSubnet('100.64.0.0', 10);
+INTERNAL_ADDRESSES.addSubnet('127.0.0.0', 8);
+INTERNAL_ADDRESSES.addSubnet('169.254.0.0', 16);
+INTERNAL_ADDRESSES.addSubnet('172.16.0.0', 12);
+INTERNAL_ADDRESSES.addSubnet('192.168.0.0', 16);
+INTERNAL_ADDRESSES.addAddress('::', 'ipv6');
+INTERNAL_ADDRESSES.addAddress('::1', 'ipv6');
+INTERNAL_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+INTERNAL_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
+export function isInternalAddress(address) {
+    let mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) address = mapped[1];
+
+    return INTERNAL_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Host of a URL, without the brackets of IPv6 addresses
+function hostname(url) {
+    return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+}
+
+// dns.lookup() refusing internal addresses, so a public name cannot point deliveries at one
+function lookupPublic(host, options, callback) {
+    dns.lookup(host, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        let addresses = Array.isArray(address) ? address : [{ address: address, family: family }];
+        let internal = addresses.find((entry) => isInternalAddress(entry.address));
+
+        if (internal) return callback(new Error(`${host} resolves to the internal address ${internal.address}`));
+        callback(null, address, family);
+    });
+}
+
+// Hex HMAC-SHA256 of the body, sent as `X-FlightSurety-Signature: sha256=<hex>`
+export function sign(secret, body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// Webhooks are returned without their secret
+function describe(webhook) {
+    let { secret, ...described } = webhook;
+    return described;
+}
+
+/**
+ * @dev Tells the registered webhooks when a passenger is credited. Each credited
+ *      insurance is POSTed once to every webhook whose passenger and flight filters
+ *      match, as JSON signed with the secret of the webhook. Failed deliveries are
+ *      retried with exponential backoff and every attempt goes to the delivery log.
+ *      Webhooks, delivered credits and the log are kept in a JSON file.
+ *
+ *      When `hosts` lists host names, webhooks can only target those. Otherwise any
+ *      host is accepted but deliveries to internal addresses are refused, checked on
+ *      each delivery against the address the name resolves to.
+ */
+export default class WebhookNotifier {
+    constructor(file, options = {}) {
+        this.file = file;
+        this.retries = options.retries !== undefined ? options.retries : 5;
+        this.backoff = options.backoff || 1000;
+        this.timeout = options.timeout || 5000;
+        this.hosts = (options.hosts || []).map((host) => host.toLowerCase());
+        this.data = empty();
+    }
+
+    load() {
+        if (fs.existsSync(this.file)) {
+            let data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+            this.data = data.version === WEBHOOKS_VERSION ? data : empty();
+        }
+
+        return this;
+    }
+
+    save() {
+        writeJsonFile(this.file, this.data);
+    }
+
+    // Why deliveries to the URL would be refused, null when they are allowed
+    checkUrl(url) {
+        let host = hostname(url);
+
+        if (this.hosts.length > 0) {
+            return this.hosts.includes(host) ? null : `${host} is not among the webhook hosts`;
+        }
+        if (net.isIP(host) && isInternalAddress(host)) return `${host} is an internal address`;
+        if (host === 'localhost' || host.endsWith('.localhost')) return `${host} is an internal address`;
+
+        return null;
+    }
+
+    add(options) {
+        let refused = this.checkUrl(options.url);
+        if (refused) throw new Error(refused);
+
+        let webhook = {
+            id: crypto.randomBytes(8).toString('hex'),
+            url: options.url,
+            secret: options.secret,
+            passenger: options.passenger || null,
+            flight: options.flight || null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.data.webhooks.push(webhook);
+        this.save();
+        return describe(webhook);
+    }
+
+    remove(id) {
+        let webhook = this.data.webhooks.find((webhook) => webhook.id === id);
+        if (!webhook) return null;
+
+        this.data.webhooks = this.data.webhooks.filter((other) => other !== webhook);
+        this.save();
+        return describe(webhook);
+    }
+
+    getWebhooks() {
+        return this.data.webhooks.map(describe);
+    }
+
+    getWebhook(id) {
+        let webhook = this.data.webhooks.find((webhook) => webhook.id === id);
+        return webhook ? describe(webhook) : null;
+    }
+
+    getDeliveries(id) {
+        return this.data.deliveries.filter((delivery) => delivery.webhook === id);
+    }
+
+    matches(webhook, credit) {
+        let flight = credit.flight;
+
+        if (webhook.passenger && !same(webhook.passenger, credit.insurance.passenger)) return false;
+        if (webhook.flight && !(same(webhook.flight, flight.key) || webhook.flight === flight.flightNumber)) return false;
+
+        return true;
+    }
+
+    /**
+     * @dev Delivers a credit reported by the CreditTracker to the matching webhooks,
+     *      resolves once every delivery succeeded or ran out of retries
+     */
+    notify(credit) {
+        let payload = {
+            event: CREDITED_EVENT,
+            flight: {
+                key: credit.flight.key,
+                flightNumber: credit.flight.flightNumber,
+                airline: credit.flight.airline,
+                timestamp: credit.flight.timestamp,
+                status: credit.flight.status
+            },
+            passenger: credit.insurance.passenger,
+            insurance: credit.insurance.key,
+            insuredValue: credit.insurance.value,
+            creditedAmount: credit.insurance.balance,
+            transactionHash: credit.event.transactionHash,
+            blockNumber: credit.event.blockNumber
+        };
+
+        let webhooks = this.data.webhooks.filter((webhook) => {
+            return this.matches(webhook, credit) && !this.data.delivered.includes(`${webhook.id}:${payload.insurance}`);
+        });
+
+        return Promise.all(webhooks.map((webhook) => this.deliver(webhook, payload)));
+    }
+
+    async deliver(webhook, payload) {
+        // Retries keep the id so receivers can drop the ones they already handled
+        let id = crypto.randomBytes(16).toString('hex');
+        let body = JSON.stringify(Object.assign({ id: id }, payload));
+
+        // Marked first so a credit reported again while retrying is not sent twice
+        this.data.delivered.push(`${webhook.id}:${payload.insurance}`);
+
+        for (let attempt = 1; ; attempt++) {
+            let entry = { id: id, webhook: webhook.id, url: webhook.url, insurance: payload.insurance, attempt: attempt, at: new Date().toISOString() };
+
+            try {
+                entry.status = await this.post(webhook, id, body);
+                entry.delivered = entry.status >= 200 && entry.status < 300;
+            } catch (error) {
+                entry.status = null;
+                entry.delivered = false;
+                entry.error = error.message;
+            }
+
+            this.log(entry);
+            if (entry.delivered || attempt > this.retries) return entry;
+
+            await sleep(this.backoff * Math.pow(2, attempt - 1));
+        }
+    }
+
+    // Resolves with the status code of the response
+    post(webhook, id, body) {
+        let url = new URL(webhook.url);
+        let client = url.protocol === 'https:' ? https : http;
+        let refused = this.checkUrl(webhook.url);
+
+        if (refused) return Promise.reject(new Error(refused));
+
+        return new Promise((resolve, reject) => {
+            let req = client.request(url, {
+                method: 'POST',
+                lookup: this.hosts.length > 0 ? dns.lookup : lookupPublic,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                    'X-FlightSurety-Event': CREDITED_EVENT,
+                    'X-FlightSurety-Delivery': id,
+                    'X-FlightSurety-Signature': `sha256=${sign(webhook.secret, body)}`
+                }
+            }, (res) => {
+                res.resume();
+                res.on('end', () => resolve(res.statusCode));
+            });
+
+            req.setTimeout(this.timeout, () => req.destroy(new Error(`No response after ${this.timeout} ms`)));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    log(entry) {
+        this.data.deliveries.push(entry);
+        this.data.deliveries = this.data.deliveries.slice(-LOG_SIZE);
+        this.save();
+
+        if (!entry.delivered) {
+            console.log(`Webhook ${entry.webhook} delivery ${entry.id} attempt ${entry.attempt} failed: ${entry.error || entry.status}`);
+        }
+    }
+}
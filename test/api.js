@@ -0,0 +1,174 @@
+require("babel-polyfill");
+require("@babel/register")({ only: [/src\/server/] });
+
+const express = require("express");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { default: createApi } = require("../src/server/api.js");
+const { default: ScheduleImporter } = require("../src/server/imports.js");
+
+describe("Server API Tests", () => {
+  const airline = "0x627306090abaB3A6e1400e9345bC60c78a8BEf57";
+  const otherAirline = "0xf17f52151EbEF6C7334FAD080c5704D77216b732";
+  const schedule = `flight,time,airline\nLH400,2099-12-01T10:00:00Z,${airline}\n`;
+
+  var servers = [];
+  var started;
+
+  // Stand in for the ScheduleImporter and the WebhookNotifier
+  const imports = {
+    prepare: async (rows) => ({ id: "0x01", errors: [], diff: rows }),
+    preview: (prepared) => ({ errors: prepared.errors, diff: prepared.diff }),
+    start: (schedule) => {
+      started.push(schedule);
+      return { id: schedule.id, status: "running" };
+    },
+  };
+  const webhooks = {
+    getWebhooks: () => [{ id: "01", url: "https://hooks.example.com/credits" }],
+    getWebhook: (id) => (id === "01" ? { id: id } : null),
+    remove: (id) => (id === "01" ? { id: id } : null),
+  };
+
+  function listen(options) {
+    let app = express();
+    app.use("/api", createApi({ imports: imports, webhooks: webhooks }, options));
+
+    return new Promise((resolve) => {
+      let server = app.listen(0, () =>
+        resolve(`http://localhost:${server.address().port}`)
+      );
+      servers.push(server);
+    });
+  }
+
+  function request(method, url, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+      let req = http.request(
+        url,
+        { method: method, headers: headers },
+        (res) => {
+          let text = "";
+          res.on("data", (chunk) => (text += chunk));
+          res.on("end", () =>
+            resolve({ status: res.statusCode, body: JSON.parse(text) })
+          );
+        }
+      );
+      req.on("error", reject);
+      req.end(body);
+    });
+  }
+
+  const post = (url, body, headers) => request("POST", url, body, headers);
+
+  beforeEach(() => {
+    started = [];
+  });
+
+  after(() => servers.forEach((server) => server.close()));
+
+  it("(api) CANNOT import schedules when no API_TOKEN is configured", async () => {
+    let base = await listen({});
+    let response = await post(`${base}/api/imports`, schedule, {
+      Authorization: "Bearer anything",
+    });
+
+    assert.equal(response.status, 403, "wrong status");
+    assert.equal(started.length, 0, "import started");
+  });
+
+  it("(api) CANNOT import schedules without the API token", async () => {
+    let base = await listen({ token: "t0ken" });
+    let missing = await post(`${base}/api/imports`, schedule);
+    let wrong = await post(`${base}/api/imports`, schedule, {
+      Authorization: "Bearer other",
+    });
+
+    assert.equal(missing.status, 401, "wrong status without a token");
+    assert.equal(wrong.status, 401, "wrong status with another token");
+    assert.equal(started.length, 0, "import started");
+  });
+
+  it("(api) CANNOT preview schedules without the API token", async () => {
+    let base = await listen({ token: "t0ken" });
+    let disabled = await listen({});
+    let missing = await post(`${base}/api/imports/preview`, schedule);
+    let unset = await post(`${disabled}/api/imports/preview`, schedule, {
+      Authorization: "Bearer anything",
+    });
+    let authorized = await post(`${base}/api/imports/preview`, schedule, {
+      Authorization: "Bearer t0ken",
+    });
+
+    assert.equal(missing.status, 401, "wrong status without a token");
+    assert.equal(unset.status, 403, "wrong status without API_TOKEN");
+    assert.equal(authorized.status, 200, "wrong status with the token");
+    assert.equal(authorized.body.diff.length, 1, "wrong preview");
+  });
+
+  it("(api) CAN import schedules with the API token", async () => {
+    let base = await listen({ token: "t0ken" });
+    let response = await post(`${base}/api/imports`, schedule, {
+      Authorization: "Bearer t0ken",
+    });
+
+    assert.equal(response.status, 202, "wrong status");
+    assert.equal(response.body.status, "running", "wrong import");
+    assert.equal(started.length, 1, "import not started");
+  });
+
+  it("(api) CANNOT read or remove webhooks without the API token", async () => {
+    let base = await listen({ token: "t0ken" });
+    let list = await request("GET", `${base}/api/webhooks`);
+    let removed = await request("DELETE", `${base}/api/webhooks/01`, "", {
+      Authorization: "Bearer other",
+    });
+    let added = await post(
+      `${base}/api/webhooks`,
+      JSON.stringify({ url: "https://hooks.example.com/", secret: "s3cret" }),
+      { "Content-Type": "application/json" }
+    );
+    let authorized = await request("GET", `${base}/api/webhooks`, "", {
+      Authorization: "Bearer t0ken",
+    });
+
+    assert.equal(list.status, 401, "wrong status when listing");
+    assert.equal(removed.status, 401, "wrong status when removing");
+    assert.equal(added.status, 401, "wrong status when adding");
+    assert.equal(authorized.status, 200, "wrong status with the token");
+    assert.equal(authorized.body.length, 1, "wrong webhooks");
+  });
+
+  it("(imports) CANNOT send flights of airlines the server is not configured for", async () => {
+    let file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "imports-")),
+      "imports.json"
+    );
+    let sent = [];
+    let importer = new ScheduleImporter(null, file, {
+      signers: [airline],
+      queue: {
+        send: async (method, from) => {
+          sent.push(from);
+          return { receipt: { status: true } };
+        },
+      },
+    });
+    let refused = false;
+
+    await importer.send({}, { airline: airline.toLowerCase() });
+    try {
+      await importer.send({}, { airline: otherAirline });
+    } catch (error) {
+      refused = true;
+    }
+
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+
+    assert.equal(refused, true, "sent for another airline");
+    assert.deepEqual(sent, [airline.toLowerCase()], "wrong transactions sent");
+  });
+});
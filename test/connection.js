@@ -0,0 +1,101 @@
+require("babel-polyfill");
+require("@babel/register")({ only: [/src\/server/] });
+
+const { EventEmitter } = require("events");
+const { EventSubscription } = require("../src/server/connection.js");
+
+describe("Event Subscription Tests", () => {
+  var provider;
+  var subscriptions;
+
+  // Stands in for web3, its provider emits `reconnect` and `connect` like the websocket one
+  const web3 = {
+    eth: { getBlockNumber: async () => 41 },
+  };
+
+  // Stands in for a web3 contract, each subscription keeps its options and callback
+  const contract = {
+    events: {
+      OracleRequest: (options, callback) => {
+        let subscription = {
+          options: options,
+          callback: callback,
+          active: true,
+          unsubscribe: () => (subscription.active = false),
+        };
+        subscriptions.push(subscription);
+        return subscription;
+      },
+    },
+  };
+
+  function event(blockNumber, logIndex = 0) {
+    return {
+      transactionHash: `0x${blockNumber}`,
+      logIndex: logIndex,
+      blockNumber: blockNumber,
+    };
+  }
+
+  async function start(handler) {
+    let subscription = new EventSubscription(
+      web3,
+      contract,
+      "OracleRequest",
+      handler
+    );
+    await subscription.start();
+    return subscription;
+  }
+
+  beforeEach(() => {
+    provider = new EventEmitter();
+    web3.currentProvider = provider;
+    subscriptions = [];
+  });
+
+  it("(connection) subscribes from the next block and hands over each event once", async () => {
+    let handled = [];
+    await start((event) => handled.push(event.transactionHash));
+
+    let { options, callback } = subscriptions[0];
+    callback(null, event(42));
+    callback(null, event(42));
+    callback(null, event(43, 1));
+    callback(new Error("connection not open"));
+
+    assert.equal(subscriptions.length, 1, "wrong subscriptions");
+    assert.equal(options.fromBlock, 42, "wrong first block");
+    assert.deepEqual(handled, ["0x42", "0x43"], "wrong events handed over");
+  });
+
+  it("(connection) subscribes again from the last handled block after a reconnection", async () => {
+    let handled = [];
+    await start((event) => handled.push(event.transactionHash));
+
+    subscriptions[0].callback(null, event(45));
+    provider.emit("reconnect", 1);
+    provider.emit("connect");
+
+    // The node sends the events of block 45 again, with one that was missed
+    subscriptions[1].callback(null, event(45));
+    subscriptions[1].callback(null, event(47));
+
+    assert.equal(subscriptions[0].active, false, "old subscription kept");
+    assert.equal(subscriptions.length, 2, "wrong subscriptions");
+    assert.equal(subscriptions[1].options.fromBlock, 45, "wrong resume block");
+    assert.deepEqual(handled, ["0x45", "0x47"], "wrong events handed over");
+  });
+
+  it("(connection) CANNOT subscribe twice when connected without a reconnection", async () => {
+    await start(() => {});
+
+    provider.emit("connect");
+    provider.emit("reconnect", 1);
+    provider.emit("reconnect", 2);
+    provider.emit("connect");
+
+    assert.equal(subscriptions.length, 2, "wrong subscriptions");
+    assert.equal(subscriptions[1].active, true, "new subscription dropped");
+  });
+});
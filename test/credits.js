@@ -0,0 +1,139 @@
+require("babel-polyfill");
+require("@babel/register")({ only: [/src\/server/] });
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const Web3 = require("web3");
+var Test = require("../config/testConfig.js");
+var { STATUS_CODES, encodeFlightNumber, wrapContract } = require("../src/sdk");
+const { default: CreditTracker } = require("../src/server/credits.js");
+const { default: EventIndexer } = require("../src/server/indexer.js");
+const { default: Registry } = require("../src/server/registry.js");
+const { default: JsonStore } = require("../src/server/store.js");
+const { default: WebhookNotifier } = require("../src/server/webhooks.js");
+
+contract("Flight Surety Credit Tests", async (accounts) => {
+  var config;
+  var receiver;
+  var requests = [];
+  var url;
+  var directory;
+
+  let airline = accounts[0];
+  let passenger = accounts[8];
+  let oracles = accounts.slice(0, 10);
+  let flight = "CRD100";
+  let flightNumber = encodeFlightNumber(flight);
+  let flightTime = 1700;
+
+  before("setup contract and a webhook receiver", async () => {
+    config = await Test.Config(accounts);
+
+    await config.flightSuretyData.authorizeContract(
+      config.flightSuretyApp.address
+    );
+    await config.flightSuretyApp.fundAirline({
+      from: airline,
+      value: config.weiMultiple * 10,
+    });
+    await config.flightSuretyApp.registerFlight(flightNumber, flightTime, {
+      from: airline,
+    });
+    await config.flightSuretyApp.buyInsurance(flightNumber, {
+      from: passenger,
+      value: config.weiMultiple * 0.4,
+    });
+
+    let fee = await config.flightSuretyApp.REGISTRATION_FEE.call();
+    for (let oracle of oracles) {
+      await config.flightSuretyApp.registerOracle({ from: oracle, value: fee });
+    }
+
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push(JSON.parse(body));
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, resolve));
+    url = `http://localhost:${receiver.address().port}/credits`;
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "credits-"));
+  });
+
+  after(() => {
+    receiver.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("(credits) delivers the insurances credited by a LATE_AIRLINE consensus", async () => {
+    // The services of the server, on the contracts of this test
+    let client = new Web3(web3.currentProvider);
+    let contract = new client.eth.Contract(
+      config.flightSuretyApp.abi,
+      config.flightSuretyApp.address
+    );
+    let indexer = new EventIndexer(
+      client,
+      contract,
+      new JsonStore(path.join(directory, "index.json"))
+    );
+    let registry = new Registry(wrapContract(contract), indexer, {
+      firstAirline: airline,
+    });
+    let credits = new CreditTracker(indexer, registry);
+    let webhooks = new WebhookNotifier(path.join(directory, "webhooks.json"), {
+      hosts: ["localhost"],
+    });
+    let deliveries = [];
+
+    credits.onCredit((credit) => deliveries.push(webhooks.notify(credit)));
+    webhooks.add({ url: url, secret: "s3cret", passenger: passenger });
+
+    let { receipt } = await Test.submitConsensus(
+      config.flightSuretyApp,
+      oracles,
+      airline,
+      flight,
+      flightTime,
+      STATUS_CODES.LATE_AIRLINE
+    );
+
+    // Indexes the consensus once, the tracker reads the insurances back
+    await indexer.start();
+    indexer.stop();
+
+    for (let attempt = 0; attempt < 50 && deliveries.length === 0; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    await Promise.all(deliveries);
+
+    let statuses = await indexer.getEvents(["FlightStatusInfo"]);
+
+    assert.equal(statuses.length, 1, "wrong FlightStatusInfo events");
+
+    assert.equal(requests.length, 1, "wrong number of deliveries");
+    assert.equal(requests[0].event, "insurance.credited", "wrong event");
+    assert.equal(requests[0].passenger, passenger, "wrong passenger");
+    assert.equal(requests[0].flight.flightNumber, flight, "wrong flight");
+    assert.equal(
+      requests[0].flight.status.code,
+      STATUS_CODES.LATE_AIRLINE,
+      "wrong flight status"
+    );
+    assert.equal(requests[0].insuredValue.ether, "0.4", "wrong insured value");
+    assert.equal(
+      requests[0].creditedAmount.ether,
+      "0.6",
+      "wrong credited amount"
+    );
+    assert.equal(
+      requests[0].transactionHash,
+      receipt.tx,
+      "wrong transaction"
+    );
+  });
+});
@@ -2,6 +2,21 @@ const web3Utils = require("web3-utils");
 
 var Test = require("../config/testConfig.js");
 var BigNumber = require("bignumber.js");
+var {
+  STATUS_CODES,
+  encodeFlightNumber,
+  encodeParameterName,
+} = require("../src/sdk");
+
+// Ganache JSON-RPC methods, e.g. evm_increaseTime to pass the parameter timelock
+function rpc(method, params = []) {
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send(
+      { jsonrpc: "2.0", method: method, params: params, id: Date.now() },
+      (error, response) => (error ? reject(error) : resolve(response.result))
+    );
+  });
+}
 
 contract("Flight Surety Tests", async (accounts) => {
   var config;
@@ -43,38 +58,55 @@ contract("Flight Surety Tests", async (accounts) => {
     assert.equal(accessDenied, true, "Access not restricted to Contract Owner");
   });
 
-  it(`(multiparty) can allow access to setOperatingStatus() for Contract Owner account`, async function () {
-    // Ensure that access is allowed for Contract Owner account
-    let accessDenied = false;
+  it(`(multiparty) can block access to setOperatingStatus() for Contract Owner account`, async function () {
+    // Only the app contract pauses, once the funded airlines approved it
+    let ownerDenied = false;
+    let authorizedDenied = false;
 
     try {
       await config.flightSuretyData.setOperatingStatus(false);
     } catch (e) {
-      accessDenied = true;
+      ownerDenied = true;
+    }
+    try {
+      await config.flightSuretyData.setOperatingStatus(false, {
+        from: config.firstAirline,
+      });
+    } catch (e) {
+      authorizedDenied = true;
     }
 
-    assert.equal(
-      accessDenied,
-      false,
-      "Access not restricted to Contract Owner"
-    );
-  });
+    let status = await config.flightSuretyData.isOperational.call();
 
-  it(`(multiparty) can block access to functions using requireIsOperational when operating status is false`, async function () {
-    await config.flightSuretyData.setOperatingStatus(false);
+    assert.equal(ownerDenied, true, "Paused by the Contract Owner alone");
+    assert.equal(authorizedDenied, true, "Paused by an authorized account");
+    assert.equal(status, true, "Operating status changed");
+  });
 
-    let reverted = false;
+  it(`(multiparty) can block access to authorizeContract() for non-Contract Owner account`, async function () {
+    let accessDenied = false;
 
     try {
-      await config.flightSurety.setTestingMode(true);
+      await config.flightSuretyData.authorizeContract(config.testAddresses[2], {
+        from: config.testAddresses[2],
+      });
     } catch (e) {
-      reverted = true;
+      accessDenied = true;
     }
 
-    assert.equal(reverted, true, "Access not blocked for requireIsOperational");
+    assert.equal(accessDenied, true, "Access not restricted to Contract Owner");
+  });
 
-    // Set it back for other tests to work
-    await config.flightSuretyData.setOperatingStatus(true);
+  it(`(multiparty) can identify the contract owner with isContractOwner()`, async function () {
+    let isOwner = await config.flightSuretyApp.isContractOwner.call(
+      config.owner
+    );
+    let isNotOwner = await config.flightSuretyApp.isContractOwner.call(
+      config.testAddresses[2]
+    );
+
+    assert.equal(isOwner, true, "Contract owner not identified");
+    assert.equal(isNotOwner, false, "Non-Contract Owner identified as owner");
   });
 
   it("(airline) cannot register an Airline using registerAirline() if it is not funded", async () => {
@@ -299,6 +331,20 @@ contract("Flight Surety Tests", async (accounts) => {
     assert.equal(newAirline[3], 0, "wrong airline balance");
   });
 
+  it("(app - airline) CAN read airline through app", async () => {
+    let fifthAirline = config.testAddresses[6];
+
+    let airline = await config.flightSuretyApp.getAirline.call(fifthAirline);
+    let airlinesRegistered =
+      await config.flightSuretyApp.getAirlinesRegistered.call();
+
+    assert.equal(airline[0], "LUFTHANSA", "wrong airline name");
+    assert.equal(airline[1], true, "wrong airline isRegistered");
+    assert.equal(airline[2], false, "wrong airline isFunded");
+    assert.equal(Number(airline[3]), 0, "wrong airline balance");
+    assert.equal(airlinesRegistered, 5, "wrong number of airlines registered");
+  });
+
   it("(app - airline) CAN fund registered airline", async () => {
     let fifthAirline = config.testAddresses[6];
 
@@ -358,7 +404,7 @@ contract("Flight Surety Tests", async (accounts) => {
   });
 
   it("(app - flight) CAN register flight", async () => {
-    let newFlightNumber = web3Utils.utf8ToHex("LFT568");
+    let newFlightNumber = encodeFlightNumber("LFT568");
     let newFlightTime = 0800;
     let fifthAirline = config.testAddresses[6];
 
@@ -402,7 +448,7 @@ contract("Flight Surety Tests", async (accounts) => {
   });
 
   it("(app - flight) CANNOT register flight if already registered", async () => {
-    let newFlightNumber = web3Utils.utf8ToHex("LFT568");
+    let newFlightNumber = encodeFlightNumber("LFT568");
     let newFlightTime = 0800;
     let fifthAirline = config.testAddresses[6];
 
@@ -440,7 +486,7 @@ contract("Flight Surety Tests", async (accounts) => {
   });
 
   it("(app - insurance) CAN buy insurance for a flight", async () => {
-    let flightNumber = web3Utils.utf8ToHex("LFT568");
+    let flightNumber = encodeFlightNumber("LFT568");
     let client = config.testAddresses[7];
     let fifthAirline = config.testAddresses[6];
 
@@ -487,8 +533,8 @@ contract("Flight Surety Tests", async (accounts) => {
   });
 
   it("(app - insurance) CANNOT buy insurance for an unregistered flight", async () => {
-    let flightNumber = web3Utils.utf8ToHex("LFT523");
-    let registeredFlightNumber = web3Utils.utf8ToHex("LFT568");
+    let flightNumber = encodeFlightNumber("LFT523");
+    let registeredFlightNumber = encodeFlightNumber("LFT568");
     let client = config.testAddresses[7];
     let fifthAirline = config.testAddresses[6];
 
@@ -533,7 +579,7 @@ contract("Flight Surety Tests", async (accounts) => {
   });
 
   it("(app - insurance) CANNOT buy insurance if client already insured", async () => {
-    let registeredFlightNumber = web3Utils.utf8ToHex("LFT568");
+    let registeredFlightNumber = encodeFlightNumber("LFT568");
     let insuredClient = config.testAddresses[7];
     let fifthAirline = config.testAddresses[6];
 
@@ -578,7 +624,7 @@ contract("Flight Surety Tests", async (accounts) => {
   });
 
   it("(app - insurance) CANNOT buy insurance with more than maximum value allowed", async () => {
-    let registeredFlightNumber = web3Utils.utf8ToHex("LFT568");
+    let registeredFlightNumber = encodeFlightNumber("LFT568");
     let insuredClient = config.testAddresses[7];
     let fifthAirline = config.testAddresses[6];
 
@@ -627,7 +673,7 @@ contract("Flight Surety Tests", async (accounts) => {
   });
 
   it("(app - insurance) CAN buy insurance for a flight to another client", async () => {
-    let registeredFlightNumber = web3Utils.utf8ToHex("LFT568");
+    let registeredFlightNumber = encodeFlightNumber("LFT568");
     let newClient = config.testAddresses[8];
     let fifthAirline = config.testAddresses[6];
 
@@ -675,4 +721,658 @@ contract("Flight Surety Tests", async (accounts) => {
       "wrong number of flight insurances registered"
     );
   });
+
+  it("(app - insurance) CAN read insurance through app", async () => {
+    let registeredFlightNumber = encodeFlightNumber("LFT568");
+    let client = config.testAddresses[8];
+    let uninsuredClient = config.testAddresses[9];
+
+    let insurance = await config.flightSuretyApp.getInsurance.call(
+      registeredFlightNumber,
+      client
+    );
+    let noInsurance = await config.flightSuretyApp.getInsurance.call(
+      registeredFlightNumber,
+      uninsuredClient
+    );
+
+    assert.equal(
+      insurance[0].toLowerCase(),
+      client.toLowerCase(),
+      "wrong insurance client"
+    );
+    assert.equal(
+      Number(insurance[1]),
+      config.weiMultiple * 1,
+      "wrong insurance value"
+    );
+    assert.equal(
+      Number(noInsurance[0]),
+      0,
+      "wrong insurance client for uninsured client"
+    );
+
+    let passengers = await config.flightSuretyApp.getFlightInsurances.call(
+      registeredFlightNumber
+    );
+
+    assert.deepEqual(
+      passengers.map((passenger) => passenger.toLowerCase()),
+      [config.testAddresses[7], client].map((passenger) =>
+        passenger.toLowerCase()
+      ),
+      "wrong insured passengers"
+    );
+  });
+
+  it("(app - insurance) CAN credit insurees when flight is late due to airline", async () => {
+    let flight = "LFT600";
+    let flightNumber = encodeFlightNumber(flight);
+    let flightTime = 1200;
+    let client = config.testAddresses[9];
+    let fifthAirline = config.testAddresses[6];
+    let oracles = accounts.slice(0, 10);
+
+    await config.flightSuretyApp.registerFlight(flightNumber, flightTime, {
+      from: fifthAirline,
+    });
+    await config.flightSuretyApp.buyInsurance(flightNumber, {
+      from: client,
+      value: config.weiMultiple * 0.1,
+    });
+
+    let fee = await config.flightSuretyApp.REGISTRATION_FEE.call();
+    for (let oracle of oracles) {
+      await config.flightSuretyApp.registerOracle({ from: oracle, value: fee });
+    }
+
+    let { index, responders } = await Test.submitConsensus(
+      config.flightSuretyApp,
+      oracles,
+      fifthAirline,
+      flight,
+      flightTime,
+      STATUS_CODES.LATE_AIRLINE
+    );
+
+    let flightInfo = await config.flightSuretyApp.getFlight.call(flightNumber);
+    let insurance = await config.flightSuretyApp.getInsurance.call(
+      flightNumber,
+      client
+    );
+
+    assert.equal(
+      Number(flightInfo[1]),
+      STATUS_CODES.LATE_AIRLINE,
+      "wrong flight statusCode"
+    );
+    assert.equal(insurance[2], true, "wrong insurance isPayed");
+    assert.equal(
+      Number(insurance[3]),
+      config.weiMultiple * 0.15,
+      "wrong insurance balance"
+    );
+
+    // Consensus closes the request, late responses no longer credit insurees
+    let requestClosed = false;
+    try {
+      await config.flightSuretyApp.submitOracleResponse(
+        index,
+        fifthAirline,
+        flight,
+        flightTime,
+        STATUS_CODES.LATE_AIRLINE,
+        { from: responders[0] }
+      );
+    } catch (e) {
+      requestClosed = true;
+    }
+
+    assert.equal(requestClosed, true, "Request still open after consensus");
+  });
+
+  it("(app - oracles) CANNOT submit two responses from the same oracle", async () => {
+    let flight = "RSP200";
+    let flightTime = 1250;
+    let airline = config.testAddresses[6];
+    let oracles = accounts.slice(0, 10);
+
+    await config.flightSuretyApp.registerFlight(
+      encodeFlightNumber(flight),
+      flightTime,
+      { from: airline }
+    );
+
+    let { index, responders } = await Test.requestResponders(
+      config.flightSuretyApp,
+      oracles,
+      airline,
+      flight,
+      flightTime,
+      1
+    );
+    await config.flightSuretyApp.submitOracleResponse(
+      index,
+      airline,
+      flight,
+      flightTime,
+      STATUS_CODES.LATE_AIRLINE,
+      { from: responders[0] }
+    );
+
+    // Three responses of one oracle would otherwise reach consensus
+    let error = null;
+    try {
+      await config.flightSuretyApp.submitOracleResponse(
+        index,
+        airline,
+        flight,
+        flightTime,
+        STATUS_CODES.LATE_AIRLINE,
+        { from: responders[0] }
+      );
+    } catch (e) {
+      error = e;
+    }
+
+    assert.notEqual(error, null, "Same oracle responded twice");
+    assert.match(
+      error.message,
+      /already submitted a response/,
+      "wrong revert reason"
+    );
+  });
+
+  it("(app - insurance) CAN credit insurees of an airline that cannot pay the addition", async () => {
+    // Registered but not funded, its balance is the premium it was paid
+    let airline = config.testAddresses[5];
+    let flight = "AZU100";
+    let flightNumber = encodeFlightNumber(flight);
+    let flightTime = 1300;
+    let client = accounts[12];
+    let oracles = accounts.slice(0, 10);
+
+    await config.flightSuretyApp.registerFlight(flightNumber, flightTime, {
+      from: airline,
+    });
+    await config.flightSuretyApp.buyInsurance(flightNumber, {
+      from: client,
+      value: config.weiMultiple * 1,
+    });
+
+    // The third response reaches consensus and credits the passenger
+    await Test.submitConsensus(
+      config.flightSuretyApp,
+      oracles,
+      airline,
+      flight,
+      flightTime,
+      STATUS_CODES.LATE_AIRLINE
+    );
+
+    let flightInfo = await config.flightSuretyApp.getFlight.call(flightNumber);
+    let insurance = await config.flightSuretyApp.getInsurance.call(
+      flightNumber,
+      client
+    );
+    let airlineInfo = await config.flightSuretyApp.getAirline.call(airline);
+
+    assert.equal(
+      Number(flightInfo[1]),
+      STATUS_CODES.LATE_AIRLINE,
+      "wrong flight statusCode"
+    );
+    assert.equal(insurance[2], true, "wrong insurance isPayed");
+    assert.equal(
+      Number(insurance[3]),
+      config.weiMultiple * 1,
+      "wrong insurance balance"
+    );
+    assert.equal(Number(airlineInfo[3]), 0, "wrong airline balance");
+  });
+
+  it("(app - insurance) CAN withdraw credited insurance", async () => {
+    let flightNumber = encodeFlightNumber("LFT600");
+    let client = config.testAddresses[9];
+
+    let balanceBefore = new BigNumber(await web3.eth.getBalance(client));
+    let result = await config.flightSuretyApp.withdraw(flightNumber, {
+      from: client,
+    });
+    let tx = await web3.eth.getTransaction(result.tx);
+    let gasCost = new BigNumber(result.receipt.gasUsed).times(tx.gasPrice);
+    let balanceAfter = new BigNumber(await web3.eth.getBalance(client));
+    let insurance = await config.flightSuretyApp.getInsurance.call(
+      flightNumber,
+      client
+    );
+
+    assert.equal(
+      balanceAfter.minus(balanceBefore).plus(gasCost).toString(),
+      new BigNumber(config.weiMultiple).times(0.15).toString(),
+      "wrong amount withdrawn"
+    );
+    assert.equal(Number(insurance[3]), 0, "wrong insurance balance");
+    assert.equal(
+      result.logs[0].event,
+      "InsuranceWithdrawn",
+      "wrong withdraw event"
+    );
+  });
+
+  it("(app - insurance) CANNOT withdraw credited insurance twice", async () => {
+    let flightNumber = encodeFlightNumber("LFT600");
+    let client = config.testAddresses[9];
+    let reverted = false;
+
+    try {
+      await config.flightSuretyApp.withdraw(flightNumber, { from: client });
+    } catch (e) {
+      reverted = true;
+    }
+
+    assert.equal(reverted, true, "could withdraw credited insurance twice");
+  });
+
+  it("(app - insurance) CANNOT withdraw without credited insurance", async () => {
+    let flightNumber = encodeFlightNumber("LFT568");
+    let client = config.testAddresses[8];
+    let reverted = false;
+
+    try {
+      await config.flightSuretyApp.withdraw(flightNumber, { from: client });
+    } catch (e) {
+      reverted = true;
+    }
+
+    assert.equal(
+      reverted,
+      true,
+      "could withdraw without credited insurance"
+    );
+  });
+
+  it("(multiparty - app) CANNOT approve operating status if not a funded airline", async () => {
+    let reverted = false;
+
+    try {
+      await config.flightSuretyApp.setOperatingStatus(false, {
+        from: config.testAddresses[8],
+      });
+    } catch (e) {
+      reverted = true;
+    }
+
+    assert.equal(reverted, true, "Operating status approved by a client");
+  });
+
+  it("(multiparty - app) CANNOT approve operating status as an insured but unfunded airline", async () => {
+    let unfundedAirline = config.testAddresses[4];
+    let flightNumber = encodeFlightNumber("GOL100");
+    let reverted = false;
+
+    await config.flightSuretyApp.registerFlight(flightNumber, 1400, {
+      from: unfundedAirline,
+    });
+    await config.flightSuretyApp.buyInsurance(flightNumber, {
+      from: config.testAddresses[8],
+      value: 1,
+    });
+
+    let airline = await config.flightSuretyApp.getAirline.call(unfundedAirline);
+
+    try {
+      await config.flightSuretyApp.setOperatingStatus(false, {
+        from: unfundedAirline,
+      });
+    } catch (e) {
+      reverted = true;
+    }
+
+    assert.equal(airline[2], false, "Airline funded by an insurance premium");
+    assert.equal(Number(airline[3]), 1, "wrong airline balance");
+    assert.equal(
+      reverted,
+      true,
+      "Operating status approved by an unfunded airline"
+    );
+  });
+
+  it("(multiparty - app) CANNOT pause without consensus of funded airlines", async () => {
+    let fifthAirline = config.testAddresses[6];
+
+    await config.flightSuretyApp.fundAirline({
+      from: config.owner,
+      value: config.weiMultiple * 10,
+    });
+    await config.flightSuretyApp.fundAirline({
+      from: config.testAddresses[3],
+      value: config.weiMultiple * 10,
+    });
+
+    let tx = await config.flightSuretyApp.setOperatingStatus(false, {
+      from: fifthAirline,
+    });
+
+    let funded = await config.flightSuretyData.getAirlinesFunded.call({
+      from: config.firstAirline,
+    });
+    let required = await config.flightSuretyApp.getGovernanceConsensus.call();
+    let votes = await config.flightSuretyApp.getOperatingStatusVotes.call(false);
+    let status = await config.flightSuretyApp.isOperational.call();
+
+    assert.equal(Number(funded), 3, "wrong number of funded airlines");
+    assert.equal(Number(required), 2, "wrong number of required approvals");
+    assert.equal(tx.logs.length, 1, "wrong number of events");
+    assert.equal(tx.logs[0].event, "OperatingStatusApproved", "wrong event");
+    assert.equal(tx.logs[0].args.mode, false, "wrong approved mode");
+    assert.equal(tx.logs[0].args.approverAddress, fifthAirline, "wrong approver");
+    assert.equal(Number(tx.logs[0].args.approvals), 1, "wrong approvals");
+    assert.equal(Number(tx.logs[0].args.required), 2, "wrong required");
+    assert.deepEqual(votes, [fifthAirline], "wrong approvals to pause");
+    assert.equal(status, true, "Paused by a single airline");
+  });
+
+  it("(multiparty - app) CANNOT approve the same operating status twice", async () => {
+    let reverted = false;
+
+    try {
+      await config.flightSuretyApp.setOperatingStatus(false, {
+        from: config.testAddresses[6],
+      });
+    } catch (e) {
+      reverted = true;
+    }
+
+    assert.equal(reverted, true, "Airline approved pausing twice");
+  });
+
+  it("(multiparty - app) CAN pause with consensus of funded airlines", async () => {
+    let tx = await config.flightSuretyApp.setOperatingStatus(false, {
+      from: config.owner,
+    });
+
+    let votes = await config.flightSuretyApp.getOperatingStatusVotes.call(false);
+    let status = await config.flightSuretyApp.isOperational.call();
+    let reverted = false;
+
+    try {
+      await config.flightSuretyApp.setOperatingStatus(false, {
+        from: config.testAddresses[3],
+      });
+    } catch (e) {
+      reverted = true;
+    }
+
+    assert.deepEqual(
+      tx.logs.map((log) => log.event),
+      ["OperatingStatusApproved", "OperatingStatusChanged"],
+      "wrong events"
+    );
+    assert.equal(tx.logs[1].args.mode, false, "wrong changed mode");
+    assert.deepEqual(votes, [], "Approvals to pause kept after pausing");
+    assert.equal(status, false, "Not paused with consensus");
+    assert.equal(reverted, true, "Pausing approved while paused");
+  });
+
+  it("(multiparty - app) can block access to functions using requireIsOperational while paused", async () => {
+    let reverted = false;
+
+    try {
+      await config.flightSuretyApp.registerFlight(
+        encodeFlightNumber("LFT700"),
+        1500,
+        { from: config.testAddresses[6] }
+      );
+    } catch (e) {
+      reverted = true;
+    }
+
+    assert.equal(reverted, true, "Access not blocked for requireIsOperational");
+  });
+
+  it("(multiparty - app) CAN resume with consensus of funded airlines while paused", async () => {
+    await config.flightSuretyApp.setOperatingStatus(true, {
+      from: config.testAddresses[3],
+    });
+
+    let votes = await config.flightSuretyApp.getOperatingStatusVotes.call(true);
+    let pausedStatus = await config.flightSuretyApp.isOperational.call();
+
+    await config.flightSuretyApp.setOperatingStatus(true, {
+      from: config.testAddresses[6],
+    });
+
+    let status = await config.flightSuretyApp.isOperational.call();
+
+    assert.deepEqual(
+      votes,
+      [config.testAddresses[3]],
+      "wrong approvals to resume"
+    );
+    assert.equal(pausedStatus, false, "Resumed by a single airline");
+    assert.equal(status, true, "Not resumed with consensus");
+  });
+
+  it("(governance) CAN read the default parameters", async () => {
+    let defaults = {
+      AIRLINE_CONSENSUS: 4,
+      AIRLINE_CONSENSUS_VOTES: 50,
+      AIRLINE_MINIMUM_FEE: config.weiMultiple * 10,
+      FLIGHT_MAX_INSURANCE: config.weiMultiple * 1,
+      CLIENT_INSURANCE_ADDITION: 5,
+      MIN_RESPONSES: 3,
+    };
+    let reverted = false;
+
+    for (let name of Object.keys(defaults)) {
+      let value = await config.flightSuretyApp.getParameter.call(
+        encodeParameterName(name)
+      );
+      assert.equal(Number(value), defaults[name], `wrong default ${name}`);
+    }
+
+    // encodeParameterName() refuses names that are not parameters
+    try {
+      await config.flightSuretyApp.getParameter.call(
+        web3Utils.padRight(web3Utils.utf8ToHex("REGISTRATION_FEE"), 64)
+      );
+    } catch (e) {
+      reverted = true;
+    }
+
+    assert.equal(reverted, true, "Unknown parameter read");
+  });
+
+  it("(governance) CANNOT set a parameter on the data contract if not the app", async () => {
+    let parameter = encodeParameterName("MIN_RESPONSES");
+    let authorizedDenied = false;
+    let clientDenied = false;
+
+    try {
+      await config.flightSuretyData.setParameter(parameter, 1, {
+        from: config.firstAirline,
+      });
+    } catch (e) {
+      authorizedDenied = true;
+    }
+    try {
+      await config.flightSuretyData.setParameter(parameter, 1, {
+        from: config.testAddresses[8],
+      });
+    } catch (e) {
+      clientDenied = true;
+    }
+
+    let value = await config.flightSuretyApp.getParameter.call(parameter);
+
+    assert.equal(
+      authorizedDenied,
+      true,
+      "Parameter set by an authorized account"
+    );
+    assert.equal(clientDenied, true, "Parameter set by a client");
+    assert.equal(Number(value), 3, "Parameter changed without a vote");
+  });
+
+  it("(governance) CANNOT vote for a parameter if not a funded airline", async () => {
+    let reverted = false;
+
+    try {
+      await config.flightSuretyApp.voteForParameter(
+        encodeParameterName("FLIGHT_MAX_INSURANCE"),
+        web3Utils.toWei("2", "ether"),
+        { from: config.testAddresses[8] }
+      );
+    } catch (e) {
+      reverted = true;
+    }
+
+    assert.equal(reverted, true, "Parameter voted by a client");
+  });
+
+  it("(governance) CANNOT vote for an invalid parameter value", async () => {
+    // More responses than the oracles of an index could never reach consensus
+    let oraclesPerIndex = await config.flightSuretyApp.getOraclesPerIndex.call();
+    let invalid = [
+      ["AIRLINE_CONSENSUS_VOTES", 101],
+      ["MIN_RESPONSES", 0],
+      ["MIN_RESPONSES", Number(oraclesPerIndex) + 1],
+      ["CLIENT_INSURANCE_ADDITION", 11],
+      ["CLIENT_INSURANCE_ADDITION", 1000000],
+    ];
+
+    for (let [name, value] of invalid) {
+      let reverted = false;
+
+      try {
+        await config.flightSuretyApp.voteForParameter(
+          encodeParameterName(name),
+          value,
+          { from: config.testAddresses[6] }
+        );
+      } catch (e) {
+        reverted = true;
+      }
+
+      assert.equal(reverted, true, `Voted for ${name} = ${value}`);
+    }
+  });
+
+  it("(governance) CAN queue a parameter change with consensus of funded airlines", async () => {
+    let parameter = encodeParameterName("FLIGHT_MAX_INSURANCE");
+    let value = web3Utils.toWei("2", "ether");
+    let reverted = false;
+
+    let tx = await config.flightSuretyApp.voteForParameter(parameter, value, {
+      from: config.testAddresses[6],
+    });
+    let votes = await config.flightSuretyApp.getParameterVotes.call(
+      parameter,
+      value
+    );
+
+    try {
+      await config.flightSuretyApp.voteForParameter(parameter, value, {
+        from: config.testAddresses[6],
+      });
+    } catch (e) {
+      reverted = true;
+    }
+
+    let consensusTx = await config.flightSuretyApp.voteForParameter(
+      parameter,
+      value,
+      { from: config.owner }
+    );
+    let block = await web3.eth.getBlock(consensusTx.receipt.blockNumber);
+    let timelock = await config.flightSuretyApp.PARAMETER_TIMELOCK.call();
+    let change = await config.flightSuretyApp.getParameterChange.call(
+      parameter
+    );
+    let current = await config.flightSuretyApp.getParameter.call(parameter);
+
+    assert.equal(tx.logs[0].event, "ParameterVoted", "wrong event");
+    assert.equal(Number(tx.logs[0].args.votes), 1, "wrong votes");
+    assert.equal(Number(tx.logs[0].args.required), 2, "wrong required");
+    assert.deepEqual(votes, [config.testAddresses[6]], "wrong votes");
+    assert.equal(reverted, true, "Airline voted twice for the same value");
+    assert.deepEqual(
+      consensusTx.logs.map((log) => log.event),
+      ["ParameterVoted", "ParameterChangeQueued"],
+      "wrong events"
+    );
+    assert.equal(Number(change[0]), value, "wrong queued value");
+    assert.equal(
+      Number(change[1]),
+      block.timestamp + Number(timelock),
+      "wrong queued executableAt"
+    );
+    assert.equal(
+      Number(current),
+      config.weiMultiple * 1,
+      "Changed before the timelock"
+    );
+  });
+
+  it("(governance) CANNOT execute a parameter change before its timelock", async () => {
+    let reverted = false;
+
+    try {
+      await config.flightSuretyApp.executeParameterChange(
+        encodeParameterName("FLIGHT_MAX_INSURANCE")
+      );
+    } catch (e) {
+      reverted = true;
+    }
+
+    assert.equal(reverted, true, "Parameter changed before its timelock");
+  });
+
+  it("(governance) CAN execute a parameter change after its timelock", async () => {
+    let parameter = encodeParameterName("FLIGHT_MAX_INSURANCE");
+    let client = config.testAddresses[4];
+    let timelock = await config.flightSuretyApp.PARAMETER_TIMELOCK.call();
+
+    // Ganache keeps the time it was moved forward, revert to the snapshot afterwards
+    let snapshot = await rpc("evm_snapshot");
+
+    try {
+      await rpc("evm_increaseTime", [Number(timelock)]);
+      await rpc("evm_mine");
+
+      let tx = await config.flightSuretyApp.executeParameterChange(parameter, {
+        from: config.testAddresses[8],
+      });
+      let current = await config.flightSuretyApp.getParameter.call(parameter);
+      let change = await config.flightSuretyApp.getParameterChange.call(
+        parameter
+      );
+
+      await config.flightSuretyApp.buyInsurance(
+        encodeFlightNumber("LFT568"),
+        { from: client, value: config.weiMultiple * 1.5 }
+      );
+      let insurance = await config.flightSuretyApp.getInsurance.call(
+        encodeFlightNumber("LFT568"),
+        client
+      );
+
+      assert.equal(tx.logs[0].event, "ParameterChanged", "wrong event");
+      assert.equal(
+        Number(tx.logs[0].args.previous),
+        config.weiMultiple * 1,
+        "wrong previous value"
+      );
+      assert.equal(Number(current), config.weiMultiple * 2, "wrong value");
+      assert.equal(Number(change[1]), 0, "Change still queued");
+      assert.equal(
+        Number(insurance[1]),
+        config.weiMultiple * 1.5,
+        "Insurance not bought up to the new maximum"
+      );
+    } finally {
+      await rpc("evm_revert", [snapshot]);
+    }
+  });
 });
@@ -0,0 +1,210 @@
+require("babel-polyfill");
+require("@babel/register")({ only: [/src\/server/] });
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { default: EventIndexer } = require("../src/server/indexer.js");
+const { default: JsonStore } = require("../src/server/store.js");
+
+describe("Event Indexer Tests", () => {
+  const appAddress = "0xf12b5dd4ead5f743c6baa640b0216200e89b60da";
+
+  var chain;
+  var logs;
+  var file;
+  var saves;
+
+  // Stands in for web3, blocks are hashed by chain name so a reorg changes them
+  const web3 = {
+    eth: {
+      getBlock: async (number) => {
+        if (number === "latest") number = chain.height;
+        if (number > chain.height) return null;
+
+        let fork = number >= chain.forkedAt ? chain.fork : chain.name;
+        return { number: number, hash: `0x${fork}${number}` };
+      },
+    },
+  };
+
+  const contract = {
+    options: { address: appAddress },
+    getPastEvents: async (name, options) =>
+      logs
+        .filter(
+          (log) =>
+            log.blockNumber >= options.fromBlock &&
+            log.blockNumber <= options.toBlock
+        )
+        .map((log) =>
+          Object.assign(
+            {
+              event: "FlightRegistered",
+              blockHash: `0x${
+                log.blockNumber >= chain.forkedAt ? chain.fork : chain.name
+              }${log.blockNumber}`,
+              transactionHash: `0x${log.fork || chain.name}${log.blockNumber}`,
+              logIndex: 0,
+              returnValues: { flightNumber: "0x4e44313330390000" },
+            },
+            log
+          )
+        ),
+  };
+
+  function createIndexer(options = {}) {
+    let store = new JsonStore(file);
+    let save = store.save.bind(store);
+
+    store.save = () => {
+      saves++;
+      save();
+    };
+
+    return new EventIndexer(
+      web3,
+      contract,
+      store,
+      Object.assign({ interval: 60000 }, options)
+    );
+  }
+
+  async function sync(indexer) {
+    await indexer.start();
+    indexer.stop();
+  }
+
+  beforeEach(() => {
+    chain = { name: "a", fork: "a", forkedAt: Infinity, height: 10 };
+    logs = [{ blockNumber: 2 }, { blockNumber: 5 }, { blockNumber: 8 }];
+    saves = 0;
+    file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")),
+      "index.json"
+    );
+  });
+
+  afterEach(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+
+  it("(indexer) CANNOT save the store when nothing changed", async () => {
+    let indexer = createIndexer();
+
+    await sync(indexer);
+    let afterFirst = saves;
+
+    chain.height = 12;
+    await indexer.sync();
+
+    assert.equal(indexer.getEvents().length, 3, "wrong events");
+    assert.equal(afterFirst, 2, "wrong saves when building the index");
+    assert.equal(saves, afterFirst, "saved without new events");
+    assert.equal(indexer.store.lastBlock, 12, "last block not followed");
+  });
+
+  it("(indexer) rebuilds the index when the chain is reset under it", async () => {
+    let indexer = createIndexer();
+    let added = [];
+
+    indexer.onEvent((event) => added.push(event.transactionHash));
+    await sync(indexer);
+
+    // Ganache restarted: a new genesis block and fewer blocks
+    chain = { name: "b", fork: "b", forkedAt: Infinity, height: 6 };
+    logs = [{ blockNumber: 3 }];
+    await indexer.sync();
+
+    assert.deepEqual(
+      indexer.getEvents().map((event) => event.transactionHash),
+      ["0xb3"],
+      "events of the old chain kept"
+    );
+    assert.equal(indexer.store.chain.genesis, "0xb0", "wrong genesis");
+    assert.deepEqual(added, ["0xa2", "0xa5", "0xa8", "0xb3"], "wrong new events");
+  });
+
+  it("(indexer) rolls back to the last block still in the chain after a reorg", async () => {
+    let indexer = createIndexer();
+
+    await sync(indexer);
+
+    // Blocks from 4 on were replaced, deeper than the last indexed block
+    chain.fork = "c";
+    chain.forkedAt = 4;
+    chain.height = 11;
+    logs = [{ blockNumber: 2 }, { blockNumber: 6, fork: "c" }];
+    await indexer.sync();
+
+    assert.deepEqual(
+      indexer.getEvents().map((event) => event.transactionHash),
+      ["0xa2", "0xc6"],
+      "wrong events after the reorg"
+    );
+    assert.equal(indexer.store.lastBlock, 11, "wrong last block");
+    assert.equal(indexer.store.lastBlockHash, "0xc11", "wrong last block hash");
+  });
+
+  it("(indexer) rebuilds the index when no indexed block is left in the chain", async () => {
+    let indexer = createIndexer();
+
+    await sync(indexer);
+
+    chain.fork = "d";
+    chain.forkedAt = 1;
+    logs = [{ blockNumber: 9, fork: "d" }];
+    await indexer.sync();
+
+    assert.deepEqual(
+      indexer.getEvents().map((event) => event.transactionHash),
+      ["0xd9"],
+      "wrong events after the reorg"
+    );
+  });
+
+  it("(indexer) CANNOT poll again when stopped during a poll", async () => {
+    let indexer = createIndexer();
+    let started = indexer.start();
+
+    // The first poll is waiting for the node when the server stops
+    indexer.stop();
+    await started;
+
+    assert.equal(indexer.timer, null, "next poll scheduled after stop");
+    assert.equal(indexer.getEvents().length, 3, "poll in progress not finished");
+  });
+
+  it("(indexer) indexes the events of the apps replaced by upgrades", async () => {
+    // Stands in for an app upgraded at block 4, its events are in the same blocks
+    let previousApp = {
+      options: { address: "0x345ca3e014aaf5dca488057592ee47305d9b3e10" },
+      getPastEvents: async (name, options) =>
+        [1, 3]
+          .filter(
+            (number) =>
+              number >= options.fromBlock && number <= options.toBlock
+          )
+          .map((number) => ({
+            event: "InsuranceBuyed",
+            blockNumber: number,
+            blockHash: `0x${chain.name}${number}`,
+            transactionHash: `0xold${number}`,
+            logIndex: 1,
+            returnValues: { flightNumber: "0x4e44313330390000" },
+          })),
+    };
+    let indexer = createIndexer({ previousApps: [previousApp] });
+
+    await sync(indexer);
+
+    assert.deepEqual(
+      indexer.getEvents().map((event) => event.transactionHash),
+      ["0xold1", "0xa2", "0xold3", "0xa5", "0xa8"],
+      "events of the previous app not indexed in chain order"
+    );
+    assert.equal(
+      indexer.store.chain.appAddress,
+      appAddress,
+      "index not kept for the current app"
+    );
+  });
+});
@@ -0,0 +1,69 @@
+require("babel-polyfill");
+require("@babel/register")({ only: [/src\/server/] });
+
+const Web3 = require("web3");
+const { createProvider } = require("../src/server/connection.js");
+const { default: createMonitoring } = require("../src/server/monitoring.js");
+
+describe("Monitoring Tests", () => {
+  var provider;
+  var credited;
+
+  // Stand in for the services of the server, only the credit tracker reports here
+  const services = {
+    indexer: { onEvent: () => {}, store: { lastBlock: null } },
+    oracles: { onResponse: () => {}, getOracles: () => [] },
+    queue: { metrics: { sent: 0, retries: 0 } },
+    credits: { onCredit: (listener) => (credited = listener) },
+  };
+
+  function render(monitoring, name) {
+    return monitoring.metrics.metrics
+      .find((metric) => metric.name === `flightsurety_${name}`)
+      .render();
+  }
+
+  afterEach(() => {
+    if (provider) {
+      provider.reconnectOptions.auto = false;
+      provider.disconnect();
+      provider = null;
+    }
+  });
+
+  it("(monitoring) sums the credited wei without rounding", async () => {
+    let monitoring = createMonitoring({ currentProvider: {} }, {}, services);
+
+    for (let wei of ["1500000000000000001", "600000000000000000"]) {
+      credited({ insurance: { balance: { wei: wei } } });
+    }
+
+    assert.match(
+      await render(monitoring, "payouts_credited_wei_total"),
+      /^flightsurety_payouts_credited_wei_total 2100000000000000001$/m
+    );
+    assert.match(
+      await render(monitoring, "payouts_credited_total"),
+      /^flightsurety_payouts_credited_total 2$/m
+    );
+  });
+
+  it("(monitoring) counts the reconnection attempts of the websocket provider", async () => {
+    // Nothing listens on port 1, every attempt fails and the provider tries again
+    provider = createProvider("ws://127.0.0.1:1", { delay: 10, maxDelay: 20 });
+    let monitoring = createMonitoring(new Web3(provider), {}, services);
+    let attempts = 0;
+
+    provider.on("reconnect", () => attempts++);
+    for (let wait = 0; wait < 100 && attempts < 2; wait++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    provider.reconnectOptions.auto = false;
+
+    assert.isAtLeast(attempts, 2, "provider did not reconnect");
+    assert.match(
+      await render(monitoring, "websocket_reconnects_total"),
+      new RegExp(`^flightsurety_websocket_reconnects_total ${attempts}$`, "m")
+    );
+  });
+});
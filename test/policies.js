@@ -0,0 +1,118 @@
+require("babel-polyfill");
+require("@babel/register")({ only: [/src\/server/] });
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { STATUS_CODES } = require("../src/sdk");
+const {
+  adversarial,
+  createPolicy,
+  fixed,
+  perFlight,
+} = require("../src/server/policies.js");
+
+describe("Oracle Policy Tests", () => {
+  const request = { index: 3, flight: "ND1309", timestamp: 1200 };
+  const oracles = Array.from({ length: 20 }, (value, index) => ({
+    address: `0x${index}`,
+  }));
+
+  it("(policies) reports a fixed status given by name or code", () => {
+    assert.equal(fixed()(request, oracles[0]), STATUS_CODES.LATE_AIRLINE);
+    assert.equal(fixed("LATE_WEATHER")(request, oracles[0]), 30);
+    assert.equal(fixed("40")(request, oracles[0]), 40);
+
+    let unknown = null;
+    try {
+      fixed(25);
+    } catch (error) {
+      unknown = error;
+    }
+    assert.match(unknown.message, /Unknown flight status code: 25/);
+  });
+
+  it("(policies) reports the status mapped to the flight, then the default", () => {
+    let withDefault = perFlight({ ND1309: "ON_TIME", default: 50 });
+    let withFallback = perFlight({ LFT568: 20 }, () => 40);
+
+    assert.equal(withDefault(request, oracles[0]), STATUS_CODES.ON_TIME);
+    assert.equal(withDefault({ flight: "LFT568" }, oracles[0]), 50);
+    assert.equal(withFallback({ flight: "LFT568" }, oracles[0]), 20);
+    assert.equal(withFallback(request, oracles[0]), 40, "fallback not used");
+  });
+
+  it("(policies) keeps the role drawn for each oracle and lies with another status", () => {
+    let honest = fixed("ON_TIME");
+    let liars = adversarial(honest, 100);
+    let truthful = adversarial(honest, 0);
+    let mixed = adversarial(honest, 50);
+
+    for (let oracle of oracles) {
+      assert.notEqual(
+        liars(request, oracle),
+        STATUS_CODES.ON_TIME,
+        "told the truth"
+      );
+      assert.equal(truthful(request, oracle), STATUS_CODES.ON_TIME, "lied");
+    }
+
+    let roles = oracles.map((oracle) => mixed(request, oracle) !== 10);
+    for (let attempt = 0; attempt < 5; attempt++) {
+      assert.deepEqual(
+        oracles.map((oracle) => mixed(request, oracle) !== 10),
+        roles,
+        "oracle changed role"
+      );
+    }
+  });
+
+  it("(policies) builds the policy selected by ORACLE_POLICY", () => {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "policies-"));
+    let file = path.join(directory, "flights.json");
+    fs.writeFileSync(file, JSON.stringify({ ND1309: "LATE_TECHNICAL" }));
+
+    let flights = createPolicy({
+      ORACLE_POLICY: "flights",
+      ORACLE_FLIGHTS_FILE: file,
+    });
+    let fixedCode = createPolicy({
+      ORACLE_POLICY: "fixed",
+      ORACLE_STATUS_CODE: "LATE_OTHER",
+    });
+    let liars = createPolicy({
+      ORACLE_POLICY: "adversarial",
+      ORACLE_HONEST_POLICY: "flights",
+      ORACLE_FLIGHTS_FILE: file,
+      ORACLE_LIARS: "100",
+    });
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    assert.equal(flights(request, oracles[0]), 40, "wrong flights policy");
+    assert.equal(fixedCode(request, oracles[0]), 50, "wrong fixed policy");
+    assert.notEqual(
+      liars(request, oracles[0]),
+      40,
+      "honest policy not wrapped"
+    );
+
+    let errors = [
+      [{ ORACLE_POLICY: "flights" }, /ORACLE_FLIGHTS_FILE is required/],
+      [
+        { ORACLE_POLICY: "adversarial", ORACLE_HONEST_POLICY: "adversarial" },
+        /cannot be adversarial/,
+      ],
+      [{ ORACLE_POLICY: "lazy" }, /Unknown oracle policy: lazy/],
+    ];
+    for (let [env, message] of errors) {
+      let error = null;
+      try {
+        createPolicy(env);
+      } catch (e) {
+        error = e;
+      }
+      assert.notEqual(error, null, `built ${env.ORACLE_POLICY}`);
+      assert.match(error.message, message);
+    }
+  });
+});
@@ -0,0 +1,208 @@
+require("babel-polyfill");
+require("@babel/register")({ only: [/src\/server/] });
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { default: OracleSimulator } = require("../src/server/oracles.js");
+const { fixed } = require("../src/server/policies.js");
+const { default: OracleRoster } = require("../src/server/roster.js");
+
+describe("Oracle Roster Tests", () => {
+  const accounts = ["0xA1", "0xA2", "0xA3", "0xA4", "0xA5"];
+
+  var file;
+  var appAddress;
+  var registered;
+  var sent;
+
+  // Stands in for web3, the node holds the accounts above
+  const web3 = {
+    eth: {
+      getAccounts: async () => accounts,
+      getBlock: async () => ({ hash: "0xgenesis" }),
+    },
+  };
+
+  // Stands in for the sdk wrapper of FlightSuretyApp, unknown accounts revert
+  const flightSuretyApp = {
+    get address() {
+      return appAddress;
+    },
+    REGISTRATION_FEE: async () => "1000000000000000000",
+    getMyIndexes: async (options) => {
+      if (!registered[options.from]) {
+        throw new Error("VM Exception: revert Not registered as an oracle");
+      }
+      return registered[options.from];
+    },
+    registerOracle: () => ({ name: "registerOracle" }),
+    submitOracleResponse: (index, airline, flight, timestamp, statusCode) => ({
+      name: "submitOracleResponse",
+      statusCode: statusCode,
+    }),
+  };
+
+  // Stands in for the TransactionQueue, registrations get consecutive indexes
+  // and the responses of 0xA3 come after consensus
+  const queue = {
+    send: async (method, from, options) => {
+      sent.push({ name: method.name, from: from, options: options });
+
+      if (method.name === "registerOracle") {
+        let count = Object.keys(registered).length;
+        registered[from] = [count % 10, (count + 1) % 10, (count + 2) % 10];
+        return {
+          outcome: "confirmed",
+          receipt: { transactionHash: `0x${from}` },
+        };
+      }
+      if (from === "0xA3") {
+        return { outcome: "closed", error: new Error("request closed") };
+      }
+      return { outcome: "confirmed", receipt: {} };
+    },
+  };
+
+  function createSimulator(options = {}) {
+    return new OracleSimulator(
+      web3,
+      flightSuretyApp,
+      new OracleRoster(file),
+      Object.assign(
+        { count: 3, offset: 1, policy: fixed("ON_TIME"), queue: queue },
+        options
+      )
+    );
+  }
+
+  beforeEach(() => {
+    appAddress = "0xapp";
+    registered = { "0xA2": [7, 8, 9] };
+    sent = [];
+    file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "oracles-")),
+      "oracles.json"
+    );
+  });
+
+  afterEach(() =>
+    fs.rmSync(path.dirname(file), { recursive: true, force: true })
+  );
+
+  it("(oracles) registers the accounts the contract does not know and keeps their indexes", async () => {
+    let simulator = createSimulator();
+    let oracles = await simulator.register();
+
+    assert.deepEqual(
+      sent.map((transaction) => transaction.from),
+      ["0xA3", "0xA4"],
+      "wrong accounts registered"
+    );
+    assert.equal(
+      sent[0].options.value,
+      "1000000000000000000",
+      "registration fee not paid"
+    );
+    assert.deepEqual(
+      oracles.map((oracle) => [
+        oracle.address,
+        oracle.indexes,
+        oracle.transactionHash,
+      ]),
+      [
+        ["0xA2", [7, 8, 9], null],
+        ["0xA3", [1, 2, 3], "0x0xA3"],
+        ["0xA4", [2, 3, 4], "0x0xA4"],
+      ],
+      "wrong roster"
+    );
+    assert.deepEqual(
+      new OracleRoster(file).load().oracles,
+      oracles,
+      "roster not saved"
+    );
+  });
+
+  it("(oracles) keeps the roster of the same deployment when registering again", async () => {
+    await createSimulator().register();
+    sent = [];
+
+    // One account less, the transactions and indexes of the others are kept
+    let oracles = await createSimulator({ count: 2 }).register();
+
+    assert.equal(sent.length, 0, "registered again");
+    assert.deepEqual(
+      oracles.map((oracle) => [oracle.address, oracle.transactionHash]),
+      [
+        ["0xA2", null],
+        ["0xA3", "0x0xA3"],
+      ],
+      "wrong roster"
+    );
+  });
+
+  it("(oracles) starts the roster over for another app contract", async () => {
+    await createSimulator().register();
+
+    appAddress = "0xupgraded";
+    let oracles = await createSimulator().register();
+    let roster = new OracleRoster(file).load();
+
+    assert.equal(roster.chain.appAddress, "0xupgraded", "wrong app address");
+    assert.deepEqual(
+      oracles.map((oracle) => oracle.transactionHash),
+      [null, null, null],
+      "registrations of the old app kept"
+    );
+  });
+
+  it("(oracles) answers a request from the oracles holding its index and counts the outcomes", async () => {
+    let simulator = createSimulator();
+    let responses = [];
+
+    await simulator.register();
+    simulator.onResponse((response) => responses.push(response));
+    sent = [];
+
+    await simulator.respond({
+      index: "3",
+      airline: "0xairline",
+      flight: "ND1309",
+      timestamp: "1200",
+    });
+    let roster = new OracleRoster(file).load();
+
+    assert.deepEqual(
+      sent.map((transaction) => [transaction.from, transaction.name]),
+      [
+        ["0xA3", "submitOracleResponse"],
+        ["0xA4", "submitOracleResponse"],
+      ],
+      "wrong oracles answered"
+    );
+    assert.deepEqual(
+      responses.map((response) => [
+        response.oracle,
+        response.statusCode,
+        response.outcome,
+      ]),
+      [
+        ["0xA3", 10, "closed"],
+        ["0xA4", 10, "confirmed"],
+      ],
+      "wrong responses"
+    );
+    assert.deepEqual(
+      roster.get("0xa3").responses,
+      { closed: 1 },
+      "wrong outcomes"
+    );
+    assert.deepEqual(
+      roster.get("0xA4").responses,
+      { confirmed: 1 },
+      "wrong outcomes"
+    );
+    assert.deepEqual(roster.get("0xA2").responses, {}, "wrong outcomes");
+  });
+});
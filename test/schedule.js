@@ -0,0 +1,216 @@
+var Test = require("../config/testConfig.js");
+var {
+  encodeFlightNumber,
+  parseSchedule,
+  validateSchedule,
+  diffSchedule,
+  createCheckpoint,
+  registerSchedule,
+  wrapContract,
+} = require("../src/sdk");
+
+contract("Flight Schedule Import Tests", async (accounts) => {
+  var config;
+  var app;
+
+  let owner = accounts[0];
+  let airline = accounts[1];
+  let otherAirline = accounts[2];
+  let unregistered = accounts[3];
+  let departure = Date.parse("2030-06-01T08:30:00Z") / 1000;
+
+  // Sends like the CLI, each flight from its airline
+  function send(method, flight) {
+    return method.send({ from: flight.airline, gas: 3000000 });
+  }
+
+  function csv(lines) {
+    return ["flight,time,airline"].concat(lines).join("\n");
+  }
+
+  before("setup contract state", async () => {
+    config = await Test.Config(accounts);
+    app = wrapContract(
+      new web3.eth.Contract(
+        config.flightSuretyApp.abi,
+        config.flightSuretyApp.address
+      )
+    );
+
+    await config.flightSuretyData.authorizeContract(
+      config.flightSuretyApp.address
+    );
+    await config.flightSuretyApp.registerAirline(airline, "Schedule Airline", {
+      from: owner,
+    });
+    await config.flightSuretyApp.registerAirline(otherAirline, "Other Airline", {
+      from: owner,
+    });
+    await config.flightSuretyApp.registerFlight(
+      encodeFlightNumber("SCH100"),
+      departure,
+      { from: airline }
+    );
+  });
+
+  it("(schedule) reads CSV and JSON schedules alike", async () => {
+    let fromCsv = parseSchedule(
+      [
+        "# airline schedule",
+        "Airline,Flight,Time",
+        `${airline},"SCH 1",2030-06-01T08:30:00Z`,
+        "",
+        `${otherAirline},SCH2,${departure}`,
+      ].join("\r\n")
+    );
+    let fromJson = parseSchedule(
+      JSON.stringify({
+        flights: [
+          { flight: "SCH 1", time: "2030-06-01T08:30:00Z", airline: airline },
+          { flight: "SCH2", time: departure, airline: otherAirline },
+        ],
+      })
+    );
+    let missingColumn = false;
+
+    try {
+      parseSchedule("flight,time\nSCH1,2030-06-01T08:30:00Z");
+    } catch (e) {
+      missingColumn = true;
+    }
+
+    assert.deepEqual(
+      fromCsv.map((row) => [row.line, row.flight, row.time, row.airline]),
+      [
+        [3, "SCH 1", "2030-06-01T08:30:00Z", airline],
+        [5, "SCH2", String(departure), otherAirline],
+      ],
+      "wrong CSV rows"
+    );
+    assert.deepEqual(
+      validateSchedule(fromCsv).flights.map((flight) => flight.timestamp),
+      validateSchedule(fromJson).flights.map((flight) => flight.timestamp),
+      "CSV and JSON times differ"
+    );
+    assert.equal(missingColumn, true, "CSV without airline column read");
+  });
+
+  it("(schedule) rejects invalid, past and duplicate flights", async () => {
+    let { flights, errors } = validateSchedule(
+      parseSchedule(
+        csv([
+          `SCH200,2030-06-01T08:30:00Z,${airline}`,
+          `${"X".repeat(33)},2030-06-01T08:30:00Z,${airline}`,
+          `SCH201,2020-06-01T08:30:00Z,${airline}`,
+          `SCH202,tomorrow,${airline}`,
+          "SCH203,2030-06-01T08:30:00Z,0x1234",
+          `SCH200,2030-06-02T08:30:00Z,${otherAirline}`,
+        ])
+      )
+    );
+
+    assert.deepEqual(
+      flights.map((flight) => flight.flightNumber),
+      [encodeFlightNumber("SCH200")],
+      "wrong valid flights"
+    );
+    assert.deepEqual(
+      errors.map((error) => error.line),
+      [3, 4, 5, 6, 7],
+      "wrong invalid lines"
+    );
+    assert.match(errors[0].error, /32 bytes/, "wrong too long error");
+    assert.match(errors[1].error, /not in the future/, "wrong past error");
+    assert.match(errors[4].error, /Duplicate of line 2/, "wrong duplicate error");
+  });
+
+  it("(schedule) compares the schedule with the registered flights", async () => {
+    let { flights } = validateSchedule(
+      parseSchedule(
+        csv([
+          `SCH100,${departure},${airline}`,
+          `SCH100B,${departure},${airline}`,
+          `SCH101,${departure},${unregistered}`,
+          `SCH102,${departure},${otherAirline}`,
+        ])
+      )
+    );
+    let moved = validateSchedule(
+      parseSchedule(csv([`SCH100,${departure + 3600},${airline}`]))
+    ).flights;
+
+    let diff = await diffSchedule(app, flights, {
+      signers: [owner, airline, unregistered],
+    });
+    let conflict = await diffSchedule(app, moved);
+
+    assert.deepEqual(
+      diff.map((flight) => flight.action),
+      ["registered", "register", "conflict", "conflict"],
+      "wrong actions"
+    );
+    assert.match(diff[2].reason, /is not registered/, "wrong airline reason");
+    assert.match(diff[3].reason, /Cannot sign/, "wrong signer reason");
+    assert.equal(conflict[0].action, "conflict", "Moved flight not a conflict");
+    assert.match(
+      conflict[0].reason,
+      /already registered by/,
+      "wrong registered reason"
+    );
+  });
+
+  it("(schedule) registers in batches and resumes from the checkpoint", async () => {
+    let schedule = csv(
+      ["SCH300", "SCH301", "SCH302", "SCH303", "SCH304"].map(
+        (flight, index) =>
+          `${flight},${departure + index * 60},${index % 2 ? otherAirline : airline}`
+      )
+    );
+    let { flights } = validateSchedule(parseSchedule(schedule));
+    let diff = await diffSchedule(app, flights);
+    let checkpoint = createCheckpoint(diff);
+    let batches = [];
+    let failing = encodeFlightNumber("SCH303");
+
+    let first = await registerSchedule(app, diff, {
+      checkpoint: checkpoint,
+      batchSize: 2,
+      send: (method, flight) =>
+        flight.flightNumber === failing
+          ? Promise.reject(new Error("Connection lost"))
+          : send(method, flight),
+      onBatch: (progress, saved) =>
+        batches.push([progress.batch, Object.keys(saved.registered).length]),
+    });
+
+    // A new run of the same schedule only sends the failed flight
+    let second = await registerSchedule(app, diff, {
+      checkpoint: JSON.parse(JSON.stringify(checkpoint)),
+      batchSize: 2,
+      send: send,
+    });
+    let registered = await app.getFlight(failing);
+    let otherSchedule = false;
+
+    try {
+      await registerSchedule(app, diff.slice(1), {
+        checkpoint: checkpoint,
+        send: send,
+      });
+    } catch (e) {
+      otherSchedule = true;
+    }
+
+    assert.deepEqual(batches, [[1, 2], [2, 3], [3, 4]], "wrong batches");
+    assert.equal(first.registered, 4, "wrong first run registered");
+    assert.deepEqual(
+      first.failed.map((failure) => failure.flight),
+      ["SCH303"],
+      "wrong first run failures"
+    );
+    assert.equal(second.resumed, 4, "wrong resumed flights");
+    assert.equal(second.registered, 1, "wrong second run registered");
+    assert.equal(registered.airline, otherAirline, "wrong flight airline");
+    assert.equal(otherSchedule, true, "Checkpoint of another schedule used");
+  });
+});
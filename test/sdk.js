@@ -0,0 +1,372 @@
+var fs = require("fs");
+var Web3 = require("web3");
+var Test = require("../config/testConfig.js");
+var { generate, OUTPUT_FILE } = require("../scripts/generate-types.js");
+var {
+  flightKey,
+  insuranceKey,
+  oracleRequestKey,
+  encodeFlightNumber,
+  decodeFlightNumber,
+  STATUS_CODES,
+  encodeParameterName,
+  decodeParameterName,
+  parseParameterValue,
+  formatParameterValue,
+  wrapContract,
+  MANIFEST_VERSION,
+  NetworkError,
+  selectNetwork,
+  checkNetwork,
+  revertReason,
+} = require("../src/sdk");
+
+const FlightSuretyApp = artifacts.require("FlightSuretyApp");
+const FlightSuretyData = artifacts.require("FlightSuretyData");
+
+contract("Flight Surety SDK Tests", async (accounts) => {
+  var config;
+  var indexes = {};
+
+  let owner = accounts[0];
+  let airline = accounts[1];
+  let passenger = accounts[8];
+  let oracles = accounts.slice(0, 10);
+  let flight = "SDK100";
+  let flightNumber = encodeFlightNumber(flight);
+  let flightTime = 1700;
+
+  // The web3 contracts the dapp, server and CLI wrap
+  function wrap(instance) {
+    return wrapContract(new web3.eth.Contract(instance.abi, instance.address));
+  }
+
+  before("setup contract state", async () => {
+    config = await Test.Config(accounts);
+
+    await config.flightSuretyData.authorizeContract(
+      config.flightSuretyApp.address
+    );
+    await config.flightSuretyData.authorizeContract(owner); // reads the data contract
+
+    await config.flightSuretyApp.registerAirline(airline, "SDK Airline", {
+      from: owner,
+    });
+    await config.flightSuretyApp.fundAirline({
+      from: airline,
+      value: config.weiMultiple * 10,
+    });
+    await config.flightSuretyApp.registerFlight(flightNumber, flightTime, {
+      from: airline,
+    });
+    await config.flightSuretyApp.buyInsurance(flightNumber, {
+      from: passenger,
+      value: config.weiMultiple * 0.5,
+    });
+
+    let fee = await config.flightSuretyApp.REGISTRATION_FEE.call();
+    for (let oracle of oracles) {
+      await config.flightSuretyApp.registerOracle({ from: oracle, value: fee });
+      indexes[oracle] = (
+        await config.flightSuretyApp.getMyIndexes.call({ from: oracle })
+      ).map(Number);
+    }
+  });
+
+  it("(sdk) encodes flight numbers as the bytes32 stored by the contracts", async () => {
+    let flightInfo = await config.flightSuretyApp.getFlight.call(flightNumber);
+    let tooLong = false;
+
+    try {
+      encodeFlightNumber("X".repeat(33));
+    } catch (e) {
+      tooLong = true;
+    }
+
+    assert.equal(flightInfo[0], true, "Flight not found by its encoded number");
+    assert.equal(decodeFlightNumber(flightNumber), flight, "wrong decoded flight");
+    assert.equal(tooLong, true, "Flight number longer than 32 bytes encoded");
+  });
+
+  it("(sdk) computes the flight keys of FlightSuretyData", async () => {
+    let flightInfo = await config.flightSuretyData.getFlight.call(flightNumber, {
+      from: owner,
+    });
+    let registered = await config.flightSuretyData.getFlightsRegistered.call({
+      from: owner,
+    });
+
+    assert.equal(
+      flightInfo[4],
+      flightKey(airline, flight, flightTime),
+      "wrong flight key"
+    );
+    assert.deepEqual(
+      registered,
+      [flightKey(airline, flight, flightTime)],
+      "wrong registered flight keys"
+    );
+  });
+
+  it("(sdk) computes the insurance keys of FlightSuretyData", async () => {
+    let key = flightKey(airline, flight, flightTime);
+    let insurances = await config.flightSuretyData.getFlightInsurances.call(
+      key,
+      { from: owner }
+    );
+    let insurance = await config.flightSuretyData.getInsurance.call(
+      insuranceKey(passenger, key),
+      { from: owner }
+    );
+
+    assert.deepEqual(
+      insurances,
+      [insuranceKey(passenger, key)],
+      "wrong insurance keys"
+    );
+    assert.equal(insurance[0], passenger, "wrong insurance client");
+  });
+
+  it("(sdk) computes the oracle request keys of FlightSuretyApp", async () => {
+    let tx = await config.flightSuretyApp.fetchFlightStatus(
+      airline,
+      flight,
+      flightTime,
+      { from: passenger }
+    );
+    let index = Number(tx.logs[0].args.index);
+
+    let request = await config.flightSuretyApp.getOracleRequest.call(
+      oracleRequestKey(index, airline, flight, flightTime)
+    );
+    let otherRequest = await config.flightSuretyApp.getOracleRequest.call(
+      oracleRequestKey((index + 1) % 10, airline, flight, flightTime)
+    );
+
+    assert.equal(request[0], passenger, "wrong requester");
+    assert.equal(request[1], true, "Request not found by its key");
+    assert.equal(otherRequest[1], false, "Request found with another index");
+  });
+
+  it("(sdk) matches the status codes and keys used to credit insurees", async () => {
+    let { index } = await Test.submitConsensus(
+      config.flightSuretyApp,
+      oracles,
+      airline,
+      flight,
+      flightTime,
+      STATUS_CODES.LATE_AIRLINE
+    );
+
+    let app = wrap(config.flightSuretyApp);
+    let flightInfo = await app.getFlight(flightNumber);
+    let insurance = await app.getInsurance(flightNumber, passenger);
+    let request = await app.getOracleRequest(
+      oracleRequestKey(index, airline, flight, flightTime)
+    );
+
+    assert.equal(
+      flightInfo.statusCode,
+      STATUS_CODES.LATE_AIRLINE,
+      "wrong flight statusCode"
+    );
+    assert.equal(insurance.isPayed, true, "Insuree not credited");
+    assert.equal(request.isOpen, false, "Request still open after consensus");
+  });
+
+  it("(sdk) names the results of the wrapped getters", async () => {
+    let app = wrap(config.flightSuretyApp);
+    let data = wrap(config.flightSuretyData);
+
+    let flightInfo = await data.getFlight(flightNumber, { from: owner });
+    let airlineInfo = await app.getAirline(airline);
+    let oracle = await app.getOracle(oracles[0]);
+    let method = app.fetchFlightStatus(airline, flight, flightTime);
+
+    assert.deepEqual(
+      flightInfo,
+      {
+        isRegistered: true,
+        statusCode: STATUS_CODES.LATE_AIRLINE,
+        timestamp: flightTime,
+        airline: airline,
+        key: flightKey(airline, flight, flightTime),
+      },
+      "wrong flight"
+    );
+    assert.equal(airlineInfo.name, "SDK Airline", "wrong airline name");
+    assert.equal(airlineInfo.isFunded, true, "wrong airline isFunded");
+    assert.equal(typeof airlineInfo.balance, "string", "wrong airline balance");
+    assert.deepEqual(
+      oracle,
+      { isRegistered: true, indexes: indexes[oracles[0]] },
+      "wrong oracle"
+    );
+    assert.equal(typeof method.send, "function", "Transaction was sent");
+  });
+
+  it("(sdk) encodes the parameter names and values of FlightSuretyApp", async () => {
+    let app = wrap(config.flightSuretyApp);
+    let fee = await app.getParameter(
+      encodeParameterName("AIRLINE_MINIMUM_FEE")
+    );
+    let change = await app.getParameterChange(
+      encodeParameterName("MIN_RESPONSES")
+    );
+    let unknown = false;
+    let tooLarge = false;
+
+    try {
+      encodeParameterName("REGISTRATION_FEE");
+    } catch (e) {
+      unknown = true;
+    }
+    try {
+      parseParameterValue("CLIENT_INSURANCE_ADDITION", "11");
+    } catch (e) {
+      tooLarge = true;
+    }
+
+    assert.equal(
+      fee,
+      parseParameterValue("AIRLINE_MINIMUM_FEE", "10"),
+      "wrong fee"
+    );
+    assert.equal(
+      formatParameterValue("AIRLINE_MINIMUM_FEE", fee),
+      "10 ether",
+      "wrong formatted fee"
+    );
+    assert.deepEqual(
+      change,
+      { value: "0", executableAt: 0 },
+      "wrong parameter change"
+    );
+    assert.equal(
+      decodeParameterName(encodeParameterName("MIN_RESPONSES")),
+      "MIN_RESPONSES",
+      "wrong decoded parameter name"
+    );
+    assert.equal(unknown, true, "Unknown parameter name encoded");
+    assert.equal(tooLarge, true, "Parameter value above its maximum parsed");
+  });
+
+  it("(sdk) decodes events with named values", async () => {
+    let app = wrap(config.flightSuretyApp);
+    let bought = await app.getPastEvents("InsuranceBuyed", { fromBlock: 0 });
+    let events = await app.getPastEvents("allEvents", { fromBlock: 0 });
+    let statusInfo = events.find((event) => event.event === "FlightStatusInfo");
+
+    assert.deepEqual(
+      bought.map((event) => event.values),
+      [
+        {
+          clientAddress: passenger,
+          flightNumber: flight,
+          clientAmount: String(config.weiMultiple * 0.5),
+        },
+      ],
+      "wrong InsuranceBuyed values"
+    );
+    assert.deepEqual(
+      statusInfo.values,
+      {
+        airline: airline,
+        flight: flight,
+        timestamp: flightTime,
+        status: STATUS_CODES.LATE_AIRLINE,
+      },
+      "wrong FlightStatusInfo values"
+    );
+  });
+
+  it("(sdk) ships the typings generated from the current ABI", async () => {
+    let typings = generate(
+      [FlightSuretyApp, FlightSuretyData].map((artifact) => ({
+        contractName: artifact.contractName,
+        abi: artifact.abi,
+      }))
+    );
+
+    assert.equal(
+      fs.readFileSync(OUTPUT_FILE, "utf-8"),
+      typings,
+      "src/sdk/contracts.d.ts is out of date, run npm run types"
+    );
+  });
+
+  it("(sdk) selects a deployment and CANNOT check another chain or a stale ABI", async () => {
+    // The web3 bundled with truffle has no eth.getChainId()
+    let client = new Web3(web3.currentProvider);
+    let chainId = Number(await client.eth.getChainId());
+    let deployment = {
+      version: MANIFEST_VERSION,
+      network: "development",
+      chainId: chainId,
+      appAddress: config.flightSuretyApp.address,
+      contracts: {
+        FlightSuretyApp: {
+          abiHash: client.utils.sha3(JSON.stringify(FlightSuretyApp.abi)),
+        },
+      },
+    };
+    let deployments = { development: deployment };
+
+    assert.equal(
+      selectNetwork(deployments),
+      deployment,
+      "wrong default network"
+    );
+    assert.equal(
+      selectNetwork(deployments, chainId),
+      deployment,
+      "wrong network by chain id"
+    );
+    assert.equal(
+      selectNetwork(deployments, "rinkeby"),
+      null,
+      "unknown network selected"
+    );
+
+    await checkNetwork(client, deployment, { FlightSuretyApp });
+
+    let failures = [
+      Object.assign({}, deployment, { version: MANIFEST_VERSION + 1 }),
+      Object.assign({}, deployment, { chainId: chainId + 1 }),
+      Object.assign({}, deployment, {
+        appAddress: web3.eth.accounts.create().address,
+      }),
+    ];
+    for (let stale of failures) {
+      let error = await checkNetwork(client, stale).catch((error) => error);
+      assert.equal(
+        error instanceof NetworkError,
+        true,
+        `${JSON.stringify(stale)} accepted`
+      );
+    }
+
+    let error = await checkNetwork(client, deployment, {
+      FlightSuretyApp: FlightSuretyData,
+    }).catch((error) => error);
+    assert.equal(error instanceof NetworkError, true, "Stale ABI accepted");
+  });
+
+  it("(sdk) extracts the revert reason of a failed transaction", async () => {
+    let error = await wrap(config.flightSuretyApp)
+      .registerFlight(flightNumber, flightTime)
+      .send({ from: airline, gas: 3000000 })
+      .catch((error) => error);
+
+    assert.equal(
+      revertReason(error),
+      "Flight is already registered",
+      "wrong revert reason"
+    );
+    assert.equal(
+      revertReason(new Error("timeout")),
+      "timeout",
+      "wrong message without reason"
+    );
+  });
+});
@@ -0,0 +1,187 @@
+require("babel-polyfill");
+require("@babel/register")({ only: [/src\/server/] });
+
+const express = require("express");
+const http = require("http");
+const { default: createApi } = require("../src/server/api.js");
+const { default: EventStream } = require("../src/server/stream.js");
+
+describe("Event Stream Tests", () => {
+  const airline = "0x627306090abaB3A6e1400e9345bC60c78a8BEf57";
+  const otherAirline = "0xf17f52151EbEF6C7334FAD080c5704D77216b732";
+  const passenger = "0x821aEa9a577a9b44299b9c15c88cf3087F3b5544";
+
+  var stored;
+  var listeners;
+  var servers = [];
+
+  // Stands in for the indexer, events are added with `add` as if indexed
+  const indexer = {
+    onEvent: (listener) => listeners.push(listener),
+    getEvents: (names) =>
+      stored.filter((event) => !names || names.includes(event.event)),
+  };
+  const registry = {
+    getFlightByNumber: async () => ({
+      key: "0x01",
+      flightNumber: "ND1309",
+      airline: airline,
+      timestamp: 1200,
+    }),
+  };
+
+  function registered(blockNumber, address) {
+    return {
+      id: `0x${blockNumber}:0`,
+      event: "AirlineRegistered",
+      blockNumber: blockNumber,
+      values: { airlineAddress: address },
+    };
+  }
+
+  function add(event) {
+    stored.push(event);
+    listeners.forEach((listener) => listener(event));
+  }
+
+  function listen(options) {
+    let stream = new EventStream(indexer, registry, options);
+    let app = express();
+    app.use("/api", createApi({ stream: stream }));
+
+    return new Promise((resolve) => {
+      let server = app.listen(0, () =>
+        resolve({
+          stream: stream,
+          base: `http://localhost:${server.address().port}`,
+        })
+      );
+      servers.push(server);
+    });
+  }
+
+  // Keeps the raw text of the stream and the events parsed from it
+  function open(url) {
+    return new Promise((resolve, reject) => {
+      let req = http.get(url, (res) => {
+        let client = { req: req, res: res, text: "", events: [] };
+
+        res.setEncoding("utf-8");
+        res.on("data", (chunk) => {
+          client.text += chunk;
+          client.events = client.text
+            .split("\n\n")
+            .filter((frame) => /^data: /m.test(frame))
+            .map((frame) => JSON.parse(frame.match(/^data: (.*)$/m)[1]));
+        });
+        resolve(client);
+      });
+      req.on("error", reject);
+    });
+  }
+
+  async function waitFor(condition) {
+    for (let wait = 0; wait < 100 && !condition(); wait++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.isTrue(condition(), "condition not met in time");
+  }
+
+  beforeEach(() => {
+    stored = [];
+    listeners = [];
+  });
+
+  after(() => servers.forEach((server) => server.close()));
+
+  it("(stream) replays the stored events then delivers the ones matching the filter", async () => {
+    let { base } = await listen();
+    stored = [registered(3, airline), registered(8, airline)];
+
+    let client = await open(
+      `${base}/api/stream?event=AirlineRegistered&event=InsuranceBuyed&airline=${airline}&fromBlock=5`
+    );
+    await waitFor(() => client.events.length === 1);
+
+    add(registered(9, otherAirline));
+    add({
+      id: "0x10:0",
+      event: "InsuranceBuyed",
+      blockNumber: 10,
+      values: { flightNumber: "ND1309", clientAddress: passenger },
+    });
+    await waitFor(() => client.events.length === 2);
+    client.req.destroy();
+
+    assert.equal(client.res.statusCode, 200, "wrong status");
+    assert.equal(
+      client.res.headers["content-type"],
+      "text/event-stream",
+      "wrong content type"
+    );
+    assert.match(client.text, /^retry: \d+$/m, "no retry delay");
+    assert.match(client.text, /^id: 0x10:0\nevent: InsuranceBuyed$/m, "no id");
+    assert.deepEqual(
+      client.events.map((event) => event.id),
+      ["0x8:0", "0x10:0"],
+      "wrong events"
+    );
+    assert.equal(
+      client.events[1].flight.airline,
+      airline,
+      "flight not described"
+    );
+  });
+
+  it("(stream) resumes after the last event id of a reconnecting client", async () => {
+    let { base } = await listen();
+    stored = [registered(3, airline), registered(8, airline)];
+
+    let text = await new Promise((resolve, reject) =>
+      http
+        .get(
+          `${base}/api/stream?event=AirlineRegistered`,
+          { headers: { "Last-Event-ID": "0x3:0" } },
+          (res) => {
+            let received = "";
+            res.on("data", (chunk) => {
+              received += chunk;
+              if (/^data: /m.test(received)) {
+                res.destroy();
+                resolve(received);
+              }
+            });
+          }
+        )
+        .on("error", reject)
+    );
+
+    assert.notMatch(text, /^id: 0x3:0$/m, "last event sent again");
+    assert.match(text, /^id: 0x8:0$/m, "next event not sent");
+  });
+
+  it("(stream) sends heartbeats to idle clients", async () => {
+    let { base } = await listen({ keepAlive: 20 });
+    let client = await open(`${base}/api/stream`);
+
+    await waitFor(() => client.text.split(": keep-alive\n\n").length > 2);
+    client.req.destroy();
+
+    assert.equal(client.events.length, 0, "events sent to an idle client");
+  });
+
+  it("(stream) forgets the clients that disconnected", async () => {
+    let { base, stream } = await listen({ keepAlive: 20 });
+    let client = await open(`${base}/api/stream`);
+
+    await waitFor(() => stream.clients.size === 1);
+    client.req.destroy();
+    await waitFor(() => stream.clients.size === 0);
+
+    // Events indexed later are not written to the closed response
+    add(registered(4, airline));
+    await stream.published;
+
+    assert.equal(stream.clients.size, 0, "client added again");
+  });
+});
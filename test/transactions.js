@@ -0,0 +1,204 @@
+require("babel-polyfill");
+require("@babel/register")({ only: [/src\/server/] });
+
+const {
+  default: TransactionQueue,
+  classify,
+  MAX_GAS,
+  TRANSIENT,
+  UNKNOWN,
+} = require("../src/server/transactions.js");
+
+describe("Transaction Queue Tests", () => {
+  const oracle = "0x0F4F2Ac550A1b4e2280d04c21cEa7EBD822934b5";
+  const otherOracle = "0x6330A553Fc93768F612722BB8c2eC78aC90B3bbc";
+
+  var nonces;
+  var nonceReads;
+
+  // Stands in for web3, the node answers the pending nonce of each account
+  const web3 = {
+    eth: {
+      getTransactionCount: async (from, block) => {
+        assert.equal(block, "pending", "nonce not read from the pending block");
+        nonceReads++;
+        return nonces[from];
+      },
+    },
+  };
+
+  // Stands in for a web3 contract method, `sends` fail with the given errors in turn
+  function createMethod(options = {}) {
+    let failures = (options.failures || []).slice();
+    let method = {
+      sent: [],
+      estimateGas: async () => {
+        if (options.revert) throw new Error(options.revert);
+        return 100000;
+      },
+      send: async (sendOptions) => {
+        method.sent.push(Object.assign({ at: Date.now() }, sendOptions));
+        if (options.wait) await options.wait();
+
+        let failure = failures.shift();
+        if (failure) throw new Error(failure);
+        return { status: true, transactionHash: `0x0${method.sent.length}` };
+      },
+    };
+
+    return method;
+  }
+
+  function createQueue(options = {}) {
+    return new TransactionQueue(
+      web3,
+      Object.assign({ backoff: 10, retries: 2 }, options)
+    );
+  }
+
+  beforeEach(() => {
+    nonces = { [oracle]: 5, [otherOracle]: 20 };
+    nonceReads = 0;
+  });
+
+  it("(transactions) classifies reverts, unknown receipts and transient errors", () => {
+    let cases = [
+      ["VM Exception: revert Index does not match oracle request", "index-mismatch"],
+      ["revert Flight or timestamp do not match oracle request", "closed"],
+      ["revert Oracle already registered", "already-registered"],
+      ["revert This oracle has already submitted a response", "already-responded"],
+      ["sender doesn't have enough funds to send tx", "insufficient-funds"],
+      ["insufficient funds for gas * price + value", "insufficient-funds"],
+      ["VM Exception while processing transaction: revert", "reverted"],
+      ["VM Exception while processing transaction: out of gas", "reverted"],
+      [
+        "Transaction was not mined within 50 blocks, please make sure your transaction was properly sent. Be aware that it might still be mined!",
+        UNKNOWN,
+      ],
+      ["the tx doesn't have the correct nonce", TRANSIENT],
+      ["CONNECTION ERROR: Couldn't connect to node", TRANSIENT],
+    ];
+
+    for (let [message, outcome] of cases) {
+      assert.equal(classify(new Error(message)), outcome, message);
+    }
+    assert.equal(classify("connection not open"), TRANSIENT, "string error");
+  });
+
+  it("(transactions) sends with the pending nonce and the gas limit, then counts on", async () => {
+    let queue = createQueue();
+    let method = createMethod();
+
+    let first = await queue.send(method, oracle, { value: "1" });
+    let second = await queue.send(method, oracle);
+
+    assert.equal(first.outcome, "confirmed", "wrong first outcome");
+    assert.equal(second.outcome, "confirmed", "wrong second outcome");
+    assert.deepEqual(
+      method.sent.map((sent) => sent.nonce),
+      [5, 6],
+      "wrong nonces"
+    );
+    assert.equal(nonceReads, 1, "nonce read again without a failure");
+    assert.equal(method.sent[0].gas, MAX_GAS, "wrong gas limit");
+    assert.equal(method.sent[0].value, "1", "wrong value");
+    assert.equal(method.sent[0].from, oracle, "wrong sender");
+  });
+
+  it("(transactions) retries transient errors with backoff and a fresh nonce", async () => {
+    let queue = createQueue({ backoff: 50 });
+    let method = createMethod({
+      failures: ["the tx doesn't have the correct nonce", "connection not open"],
+    });
+
+    nonces[oracle] = 7;
+    let result = await queue.send(method, oracle);
+    let gaps = method.sent
+      .slice(1)
+      .map((sent, index) => sent.at - method.sent[index].at);
+
+    assert.equal(result.outcome, "confirmed", "wrong outcome");
+    assert.equal(method.sent.length, 3, "wrong number of attempts");
+    assert.equal(nonceReads, 3, "nonce not read again after each failure");
+    // Timers may fire a millisecond early
+    assert.isAtLeast(gaps[0], 45, "first retry too early");
+    assert.isAtLeast(gaps[1], 95, "backoff not doubled");
+    assert.equal(queue.metrics.retries, 2, "wrong retries count");
+  });
+
+  it("(transactions) gives up after the last retry", async () => {
+    let queue = createQueue();
+    let method = createMethod({
+      failures: ["connection not open", "connection not open", "connection not open"],
+    });
+
+    let result = await queue.send(method, oracle);
+
+    assert.equal(result.outcome, "failed", "wrong outcome");
+    assert.match(result.error.message, /connection not open/);
+    assert.equal(method.sent.length, 3, "wrong number of attempts");
+    assert.equal(queue.metrics.outcomes.failed, 1, "wrong outcome count");
+  });
+
+  it("(transactions) CANNOT send reverts found by the gas estimate", async () => {
+    let queue = createQueue();
+    let method = createMethod({
+      revert: "VM Exception: revert Index does not match oracle request",
+    });
+
+    let result = await queue.send(method, oracle);
+
+    assert.equal(result.outcome, "index-mismatch", "wrong outcome");
+    assert.equal(method.sent.length, 0, "reverting transaction sent");
+  });
+
+  it("(transactions) CANNOT send again a transaction not mined in time", async () => {
+    let queue = createQueue();
+    let method = createMethod({
+      failures: [
+        "Transaction was not mined within 50 blocks, please make sure your transaction was properly sent. Be aware that it might still be mined!",
+      ],
+    });
+
+    let result = await queue.send(method, oracle);
+
+    assert.equal(result.outcome, UNKNOWN, "wrong outcome");
+    assert.equal(method.sent.length, 1, "sent again");
+    assert.equal(queue.metrics.retries, 0, "retried");
+  });
+
+  it("(transactions) keeps at most `concurrency` transactions in flight", async () => {
+    let queue = createQueue({ concurrency: 2 });
+    let inFlight = 0;
+    let maxInFlight = 0;
+    let method = createMethod({
+      wait: async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        inFlight--;
+      },
+    });
+
+    let results = await Promise.all(
+      [oracle, oracle, oracle, otherOracle, otherOracle].map((from) =>
+        queue.send(method, from)
+      )
+    );
+
+    assert.equal(maxInFlight, 2, "wrong transactions in flight");
+    assert.deepEqual(
+      results.map((result) => result.outcome),
+      Array(5).fill("confirmed"),
+      "wrong outcomes"
+    );
+    assert.deepEqual(
+      method.sent
+        .filter((sent) => sent.from === oracle)
+        .map((sent) => sent.nonce),
+      [5, 6, 7],
+      "nonces of an account out of order"
+    );
+    assert.equal(queue.active, 0, "slots not released");
+  });
+});
@@ -0,0 +1,281 @@
+var Test = require("../config/testConfig.js");
+var BigNumber = require("bignumber.js");
+var { upgradeApp } = require("../migrations/lib/upgrade.js");
+var {
+  STATUS_CODES,
+  encodeFlightNumber,
+  encodeParameterName,
+} = require("../src/sdk");
+
+const FlightSuretyApp = artifacts.require("FlightSuretyApp");
+const Migrations = artifacts.require("Migrations");
+
+contract("Flight Surety Upgrade Tests", async (accounts) => {
+  var config;
+  var oldApp;
+  var newApp;
+  var indexes = {};
+
+  let owner = accounts[0];
+  let airlines = accounts.slice(1, 4);
+  let pendingAirline = accounts[4];
+  let client = accounts[8];
+  let oracles = accounts.slice(0, 10);
+  let flight = "UPG100";
+  let flightNumber = encodeFlightNumber(flight);
+  let flightTime = 1600;
+  let maxInsurance = encodeParameterName("FLIGHT_MAX_INSURANCE");
+  let twoEther = web3.utils.toWei("2", "ether");
+  let consensusVotes = encodeParameterName("AIRLINE_CONSENSUS_VOTES");
+  var queuedChange;
+
+  before("setup contract state and upgrade the app", async () => {
+    config = await Test.Config(accounts);
+    oldApp = config.flightSuretyApp;
+
+    await config.flightSuretyData.authorizeContract(oldApp.address);
+
+    // Four registered airlines and a fifth one waiting for a second vote
+    for (let airline of airlines) {
+      await oldApp.registerAirline(airline, "Airline", { from: owner });
+    }
+    await oldApp.registerAirline(pendingAirline, "Pending", { from: owner });
+
+    await oldApp.fundAirline({
+      from: airlines[0],
+      value: config.weiMultiple * 10,
+    });
+    await oldApp.registerFlight(flightNumber, flightTime, {
+      from: airlines[0],
+    });
+    await oldApp.buyInsurance(flightNumber, {
+      from: client,
+      value: config.weiMultiple * 0.2,
+    });
+
+    // Three funded airlines, so a single vote or approval is pending
+    for (let airline of airlines.slice(1)) {
+      await oldApp.fundAirline({
+        from: airline,
+        value: config.weiMultiple * 10,
+      });
+    }
+    await oldApp.voteForParameter(maxInsurance, twoEther, {
+      from: airlines[0],
+    });
+    for (let airline of airlines.slice(0, 2)) {
+      await oldApp.voteForParameter(consensusVotes, 60, { from: airline });
+    }
+    queuedChange = await oldApp.getParameterChange.call(consensusVotes);
+    await oldApp.setOperatingStatus(false, { from: airlines[2] });
+
+    let fee = await oldApp.REGISTRATION_FEE.call();
+    for (let oracle of oracles) {
+      await oldApp.registerOracle({ from: oracle, value: fee });
+      indexes[oracle] = (
+        await oldApp.getMyIndexes.call({ from: oracle })
+      ).map(Number);
+    }
+
+    let result = await upgradeApp(FlightSuretyApp, {
+      flightSuretyData: config.flightSuretyData,
+      flightSuretyApp: oldApp,
+      from: owner,
+    });
+    newApp = result.flightSuretyApp;
+  });
+
+  it("(upgrade) authorizes the new app and deauthorizes the old one", async () => {
+    let status = await newApp.isOperational.call();
+    let accessDenied = false;
+
+    try {
+      await oldApp.isOperational.call();
+    } catch (e) {
+      accessDenied = true;
+    }
+
+    assert.equal(status, true, "New app cannot read the data contract");
+    assert.equal(accessDenied, true, "Old app can still read the data contract");
+  });
+
+  it("(upgrade) CANNOT register flight through the old app", async () => {
+    let accessDenied = false;
+
+    try {
+      await oldApp.registerFlight(encodeFlightNumber("UPG101"), flightTime, {
+        from: airlines[0],
+      });
+    } catch (e) {
+      accessDenied = true;
+    }
+
+    assert.equal(accessDenied, true, "Old app can still write to the data contract");
+  });
+
+  it("(upgrade) CAN read airlines through the new app", async () => {
+    let registered = await newApp.getAirlinesRegistered.call();
+    let airline = await newApp.getAirline.call(airlines[0]);
+
+    assert.equal(Number(registered), 4, "wrong airlines registered");
+    assert.equal(airline[0], "Airline", "wrong airline name");
+    assert.equal(airline[1], true, "wrong airline isRegistered");
+    assert.equal(airline[2], true, "wrong airline isFunded");
+    // Funding and the insurance bought for its flight
+    assert.equal(
+      Number(airline[3]),
+      config.weiMultiple * 10.2,
+      "wrong airline balance"
+    );
+  });
+
+  it("(upgrade) CAN register airline with the votes cast through the old app", async () => {
+    let votes = await newApp.getAirlineVotes.call(pendingAirline);
+
+    assert.deepEqual(votes, [owner], "wrong imported votes");
+
+    await newApp.registerAirline(pendingAirline, "Pending", {
+      from: airlines[0],
+    });
+    let airline = await newApp.getAirline.call(pendingAirline);
+
+    assert.equal(airline[1], true, "Airline was not registered by consensus");
+  });
+
+  it("(upgrade) CAN read flights and insurances through the new app", async () => {
+    let flightInfo = await newApp.getFlight.call(flightNumber);
+    let insurance = await newApp.getInsurance.call(flightNumber, client);
+
+    assert.equal(flightInfo[0], true, "wrong flight isRegistered");
+    assert.equal(Number(flightInfo[2]), flightTime, "wrong flight time");
+    assert.equal(flightInfo[3], airlines[0], "wrong flight airline");
+    assert.equal(insurance[0], client, "wrong insurance client");
+    assert.equal(
+      Number(insurance[1]),
+      config.weiMultiple * 0.2,
+      "wrong insurance value"
+    );
+  });
+
+  it("(upgrade) keeps the parameter votes, queued changes and operating status approvals", async () => {
+    let votes = await newApp.getParameterVotes.call(maxInsurance, twoEther);
+    let change = await newApp.getParameterChange.call(consensusVotes);
+    let approvals = await newApp.getOperatingStatusVotes.call(false);
+
+    assert.deepEqual(votes, [airlines[0]], "wrong imported parameter votes");
+    assert.equal(
+      Number(change[0]),
+      Number(queuedChange[0]),
+      "wrong queued value"
+    );
+    assert.equal(
+      Number(change[1]),
+      Number(queuedChange[1]),
+      "Timelock of the queued change not kept"
+    );
+    assert.deepEqual(approvals, [airlines[2]], "wrong imported approvals");
+
+    // The imported approval counts towards the consensus of the new app
+    await newApp.setOperatingStatus(false, { from: airlines[1] });
+    let paused = !(await newApp.isOperational.call());
+    await newApp.setOperatingStatus(true, { from: airlines[0] });
+    await newApp.setOperatingStatus(true, { from: airlines[1] });
+
+    assert.equal(paused, true, "Imported approval not counted");
+  });
+
+  it("(upgrade) keeps the oracles registered with their indexes", async () => {
+    for (let oracle of oracles) {
+      let imported = (await newApp.getMyIndexes.call({ from: oracle })).map(
+        Number
+      );
+
+      assert.deepEqual(imported, indexes[oracle], "wrong oracle indexes");
+    }
+  });
+
+  it("(upgrade) CANNOT import oracles if not contract owner", async () => {
+    let accessDenied = false;
+
+    try {
+      await newApp.importOracle(web3.eth.accounts.create().address, [1, 2, 3], {
+        from: airlines[0],
+      });
+    } catch (e) {
+      accessDenied = true;
+    }
+
+    assert.equal(accessDenied, true, "Access not restricted to Contract Owner");
+  });
+
+  it("(upgrade) CANNOT import oracles or votes once the import is finished", async () => {
+    let oracleDenied = false;
+    let votesDenied = false;
+
+    try {
+      await newApp.importOracle(web3.eth.accounts.create().address, [1, 2, 3], {
+        from: owner,
+      });
+    } catch (e) {
+      oracleDenied = true;
+    }
+    try {
+      await newApp.importAirlineVotes(accounts[9], [owner], { from: owner });
+    } catch (e) {
+      votesDenied = true;
+    }
+
+    assert.equal(oracleDenied, true, "Oracle imported after the upgrade");
+    assert.equal(votesDenied, true, "Votes imported after the upgrade");
+  });
+
+  it("(upgrade) CANNOT upgrade an app that does not emit AirlineVoted and OracleRegistered", async () => {
+    // Stands for an app deployed before the events, with none of them in its bytecode
+    let legacyApp = await Migrations.new({ from: owner });
+    let error = null;
+
+    try {
+      await upgradeApp(FlightSuretyApp, {
+        flightSuretyData: config.flightSuretyData,
+        flightSuretyApp: legacyApp,
+        from: owner,
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    assert.notEqual(error, null, "Upgraded an app whose state cannot be found");
+    assert.match(error.message, /predates AirlineVoted/, "wrong error");
+  });
+
+  it("(upgrade) CAN credit and withdraw insurance bought through the old app", async () => {
+    await Test.submitConsensus(
+      newApp,
+      oracles,
+      airlines[0],
+      flight,
+      flightTime,
+      STATUS_CODES.LATE_AIRLINE
+    );
+
+    let insurance = await newApp.getInsurance.call(flightNumber, client);
+    assert.equal(insurance[2], true, "wrong insurance isPayed");
+    assert.equal(
+      Number(insurance[3]),
+      config.weiMultiple * 0.3,
+      "wrong insurance balance"
+    );
+
+    let balanceBefore = new BigNumber(await web3.eth.getBalance(client));
+    let result = await newApp.withdraw(flightNumber, { from: client });
+    let tx = await web3.eth.getTransaction(result.tx);
+    let gasCost = new BigNumber(result.receipt.gasUsed).times(tx.gasPrice);
+    let balanceAfter = new BigNumber(await web3.eth.getBalance(client));
+
+    assert.equal(
+      balanceAfter.minus(balanceBefore).plus(gasCost).toString(),
+      new BigNumber(config.weiMultiple).times(0.3).toString(),
+      "wrong withdrawn amount"
+    );
+  });
+});
@@ -0,0 +1,222 @@
+require("babel-polyfill");
+require("@babel/register")({ only: [/src\/server/] });
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { default: WebhookNotifier, sign } = require("../src/server/webhooks.js");
+
+describe("Webhook Tests", () => {
+  const passenger = "0x5AEDA56215b167893e80B4fE645BA6d5Bab767DE";
+  const otherPassenger = "0x6330A553Fc93768F612722BB8c2eC78aC90B3bbc";
+  const flightKey =
+    "0x36e6ddc1ce7f5e878bb15b07147308408497148868ce0f0984efe5f76df6be19";
+
+  var receiver;
+  var requests;
+  var responses;
+  var url;
+  var file;
+
+  // Same shape as the credits reported by the CreditTracker
+  function credit(insurance, client) {
+    return {
+      event: { transactionHash: "0x01", blockNumber: 12 },
+      flight: {
+        key: flightKey,
+        flightNumber: "DE1524",
+        airline: "0x627306090abaB3A6e1400e9345bC60c78a8BEf57",
+        timestamp: 1793520900,
+        status: { code: 20, name: "LATE_AIRLINE" },
+      },
+      insurance: {
+        key: insurance,
+        passenger: client || passenger,
+        value: { wei: "400000000000000000", ether: "0.4" },
+        isPayed: true,
+        balance: { wei: "600000000000000000", ether: "0.6" },
+      },
+    };
+  }
+
+  // The receiver runs on localhost, an internal address allowed once listed
+  function createNotifier() {
+    return new WebhookNotifier(file, {
+      backoff: 10,
+      retries: 2,
+      hosts: ["localhost"],
+    }).load();
+  }
+
+  before("start a receiver", (done) => {
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({ headers: req.headers, body: body });
+        res.statusCode = responses.length > 0 ? responses.shift() : 200;
+        res.end();
+      });
+    });
+    receiver.listen(0, () => {
+      url = `http://localhost:${receiver.address().port}/credits`;
+      done();
+    });
+  });
+
+  beforeEach(() => {
+    requests = [];
+    responses = [];
+    file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-")),
+      "webhooks.json"
+    );
+  });
+
+  afterEach(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+
+  after(() => receiver.close());
+
+  it("(webhooks) delivers signed credits to matching webhooks", async () => {
+    let notifier = createNotifier();
+    notifier.add({ url: url, secret: "s3cret", passenger: passenger });
+
+    await notifier.notify(credit("0xa1"));
+
+    assert.equal(requests.length, 1, "wrong number of deliveries");
+
+    let request = requests[0];
+    let payload = JSON.parse(request.body);
+
+    assert.equal(
+      request.headers["x-flightsurety-signature"],
+      `sha256=${sign("s3cret", request.body)}`,
+      "wrong signature"
+    );
+    assert.equal(request.headers["x-flightsurety-event"], "insurance.credited");
+    assert.equal(request.headers["x-flightsurety-delivery"], payload.id);
+    assert.equal(payload.flight.flightNumber, "DE1524", "wrong flight");
+    assert.equal(payload.passenger, passenger, "wrong passenger");
+    assert.equal(payload.insuredValue.ether, "0.4", "wrong insured value");
+    assert.equal(payload.creditedAmount.ether, "0.6", "wrong credited amount");
+  });
+
+  it("(webhooks) CANNOT deliver credits outside the passenger and flight filters", async () => {
+    let notifier = createNotifier();
+    notifier.add({ url: url, secret: "s3cret", passenger: otherPassenger });
+    notifier.add({ url: url, secret: "s3cret", flight: "TP1309" });
+    let byKey = notifier.add({ url: url, secret: "s3cret", flight: flightKey });
+
+    await notifier.notify(credit("0xa1"));
+
+    assert.equal(requests.length, 1, "wrong number of deliveries");
+    assert.equal(
+      notifier.getDeliveries(byKey.id).length,
+      1,
+      "wrong webhook delivered"
+    );
+  });
+
+  it("(webhooks) retries failed deliveries and logs every attempt", async () => {
+    let notifier = createNotifier();
+    let webhook = notifier.add({ url: url, secret: "s3cret" });
+    responses = [500, 503];
+
+    await notifier.notify(credit("0xa1"));
+
+    let deliveries = notifier.getDeliveries(webhook.id);
+    let ids = requests.map((request) => JSON.parse(request.body).id);
+
+    assert.equal(requests.length, 3, "wrong number of attempts");
+    assert.deepEqual(
+      deliveries.map((delivery) => delivery.status),
+      [500, 503, 200],
+      "wrong delivery log"
+    );
+    assert.equal(deliveries[2].delivered, true, "wrong delivered flag");
+    assert.equal(new Set(ids).size, 1, "retries changed the delivery id");
+  });
+
+  it("(webhooks) gives up after the last retry", async () => {
+    let notifier = createNotifier();
+    let webhook = notifier.add({ url: url, secret: "s3cret" });
+    responses = [500, 500, 500];
+
+    await notifier.notify(credit("0xa1"));
+
+    let deliveries = notifier.getDeliveries(webhook.id);
+
+    assert.equal(deliveries.length, 3, "wrong number of attempts");
+    assert.equal(
+      deliveries.some((delivery) => delivery.delivered),
+      false,
+      "wrong delivered flag"
+    );
+  });
+
+  it("(webhooks) CANNOT deliver the same credit twice, even after a restart", async () => {
+    let notifier = createNotifier();
+    notifier.add({ url: url, secret: "s3cret" });
+
+    await notifier.notify(credit("0xa1"));
+    await notifier.notify(credit("0xa1"));
+    await createNotifier().notify(credit("0xa1"));
+    await createNotifier().notify(credit("0xa2", otherPassenger));
+
+    assert.equal(requests.length, 2, "wrong number of deliveries");
+  });
+
+  it("(webhooks) CANNOT register or deliver to internal addresses", async () => {
+    let notifier = new WebhookNotifier(file, { backoff: 10, retries: 0 });
+    let refused = [];
+
+    for (let target of [
+      url,
+      "http://127.0.0.1:8545/",
+      "http://[::1]/",
+      "http://169.254.169.254/latest/meta-data/",
+      "http://10.0.0.1/",
+    ]) {
+      try {
+        notifier.add({ url: target, secret: "s3cret" });
+      } catch (error) {
+        refused.push(target);
+      }
+    }
+
+    // e.g. registered before the check, or the file was edited by hand
+    notifier.data.webhooks.push({ id: "01", url: url, secret: "s3cret" });
+    await notifier.notify(credit("0xa1"));
+
+    assert.equal(refused.length, 5, "internal address registered");
+    assert.equal(requests.length, 0, "delivered to an internal address");
+    assert.match(notifier.getDeliveries("01")[0].error, /internal address/);
+  });
+
+  it("(webhooks) CANNOT register webhooks outside the webhook hosts", async () => {
+    let notifier = new WebhookNotifier(file, { hosts: ["hooks.example.com"] });
+    let refused = false;
+
+    try {
+      notifier.add({ url: "https://example.com/credits", secret: "s3cret" });
+    } catch (error) {
+      refused = true;
+    }
+    let webhook = notifier.add({
+      url: "https://hooks.example.com/credits",
+      secret: "s3cret",
+    });
+
+    assert.equal(refused, true, "registered another host");
+    assert.equal(webhook.url, "https://hooks.example.com/credits");
+  });
+
+  it("(webhooks) keeps webhooks on disk without exposing their secret", async () => {
+    let webhook = createNotifier().add({ url: url, secret: "s3cret" });
+    let webhooks = createNotifier().getWebhooks();
+
+    assert.deepEqual(webhooks, [webhook], "wrong webhooks loaded");
+    assert.equal(webhooks[0].secret, undefined, "secret exposed");
+  });
+});
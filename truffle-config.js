@@ -17,6 +17,13 @@ module.exports = {
   compilers: {
     solc: {
       version: "^0.4.24",
+      // FlightSuretyApp is too close to the 24576 bytes contract size limit without it
+      settings: {
+        optimizer: {
+          enabled: true,
+          runs: 200,
+        },
+      },
     },
   },
 };